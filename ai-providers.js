@@ -0,0 +1,478 @@
+// ai-providers.js - Pluggable AI Backends (Gemini + any OpenAI-compatible HTTP server)
+//
+// Every provider exposes the same interface, so ai.js features never touch an SDK directly:
+//   initialize({ force })                        -> { success, model, cached, error }
+//   generateText({ system, prompt, feature })    -> string
+//   generateJson({ system, prompt, schema, feature }) -> parsed JSON (structured output when the backend supports it)
+//   generateVision({ prompt, images, feature })  -> string   (images: [{ data: base64, mimeType }])
+//   streamText({ system, prompt, history, feature, signal, onToken }) -> full string, onToken(chunk) as it arrives
+//                                                (history: earlier turns [{ role: 'user' | 'assistant', content }])
+//   modelName                                    -> model currently serving requests
+//   models                                       -> [{ name, capabilities: { vision, thinking, json } }]
+
+const GEMINI_SDK_URL = "https://cdn.jsdelivr.net/npm/@google/generative-ai@0.21.0/+esm"; // Pinned: a "latest" bump must not break us
+
+// --- MODEL PRIORITY (Bleeding Edge) ---
+export const MODEL_PRIORITY_LIST = [
+    // 1. The User's Requested "Gemini 3" (If available to your key)
+    'gemini-3-pro-preview',
+
+    // 2. The Real "Reasoning" Model (Available Now)
+    'gemini-2.5-flash-lite',
+    'gemini-2.0-flash-thinking-exp',
+
+    // 3. High Intelligence Standard
+    'gemini-1.5-pro',
+
+    // 4. Fast Backup
+    'gemini-2.0-flash-exp',
+    'gemini-1.5-flash'
+];
+
+export const PROVIDERS = {
+    gemini: 'Google Gemini',
+    'openai-compatible': 'OpenAI-compatible (Ollama, llama.cpp, LM Studio...)',
+};
+
+// --- 1. Shared Helpers ---
+
+// Thrown when the model answered but not in the shape we asked for.
+// code: 'invalid-json' | 'schema-mismatch'; errors: [{ path, message }]; raw: the offending text
+export class AIResponseError extends Error {
+    constructor(code, message, { errors = [], raw = '' } = {}) {
+        super(message);
+        this.name = 'AIResponseError';
+        this.code = code;
+        this.errors = errors;
+        this.raw = raw;
+    }
+}
+
+// Index just past the bracket that closes the one at `start`, skipping brackets inside strings
+function findJsonEnd(text, start) {
+    const stack = [];
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+        const ch = text[i];
+        if (inString) {
+            if (ch === '\\') i++;
+            else if (ch === '"') inString = false;
+        } else if (ch === '"') inString = true;
+        else if (ch === '{' || ch === '[') stack.push(ch === '{' ? '}' : ']');
+        else if (ch === '}' || ch === ']') {
+            if (stack.pop() !== ch) return -1;
+            if (stack.length === 0) return i + 1;
+        }
+    }
+    return -1;
+}
+
+// Parses an object or array out of model output, tolerating code fences and surrounding prose
+export function extractJson(text) {
+    const cleanText = String(text ?? '').replace(/```(?:json)?/gi, '').trim();
+    try {
+        return JSON.parse(cleanText);
+    } catch (e) {
+        for (let start = cleanText.search(/[[{]/); start !== -1; ) {
+            const end = findJsonEnd(cleanText, start);
+            if (end !== -1) {
+                try { return JSON.parse(cleanText.slice(start, end)); } catch (ignored) { /* keep scanning */ }
+            }
+            const next = cleanText.slice(start + 1).search(/[[{]/);
+            start = next === -1 ? -1 : start + 1 + next;
+        }
+        throw new AIResponseError('invalid-json', "AI response was not valid JSON.", { raw: cleanText.slice(0, 2000) });
+    }
+}
+
+// Spelled out in the prompt for backends without native structured output
+function describeSchema(schema) {
+    return `Respond with ONLY a JSON value matching this JSON Schema (no prose, no markdown):\n${JSON.stringify(schema)}`;
+}
+
+// Gemini's responseSchema accepts an OpenAPI subset; drop the keywords it rejects
+const GEMINI_SCHEMA_KEYS = ['type', 'description', 'nullable', 'enum', 'properties', 'required', 'items', 'minItems', 'maxItems'];
+
+function toGeminiSchema(schema) {
+    const out = {};
+    GEMINI_SCHEMA_KEYS.filter(key => schema[key] !== undefined).forEach(key => { out[key] = schema[key]; });
+    if (out.enum) out.format = 'enum';
+    if (out.items) out.items = toGeminiSchema(out.items);
+    if (out.properties) {
+        out.properties = Object.fromEntries(Object.entries(out.properties).map(([k, v]) => [k, toGeminiSchema(v)]));
+    }
+    return out;
+}
+
+// Discovered models are trusted for a day before we ask the API again
+export const MODEL_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const RETRY_DELAYS_MS = [1000, 3000];
+
+// Rate limits and overloads are worth retrying (or falling back); bad keys and bad prompts are not
+export function isRetryableError(error) {
+    // Aborted by the user, or a stream that already produced output: never replay
+    if (error?.name === 'AbortError' || /\babort/i.test(error?.message || '') || error?.retryable === false) return false;
+    if (error?.retryable === true) return true;
+    const status = error?.status ?? error?.statusCode;
+    if ([408, 429, 500, 502, 503, 504].includes(status)) return true;
+    return /\b(408|429|500|502|503|504)\b|rate limit|quota|overloaded|unavailable|resource.?exhausted|timeout|failed to fetch/i
+        .test(error?.message || '');
+}
+
+// The request never reached a server: retrying (or asking another model) can't help until we're back online
+function isNetworkError(error) {
+    return !navigator.onLine || /failed to fetch|networkerror|network request failed|load failed/i.test(error?.message || '');
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Runs task(), retrying retryable failures with exponential backoff (+ jitter so tabs don't retry in lockstep)
+export async function withRetry(task, delays = RETRY_DELAYS_MS) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await task();
+        } catch (error) {
+            if (attempt >= delays.length || !isRetryableError(error) || isNetworkError(error)) throw error;
+            const delay = delays[attempt] + Math.round(Math.random() * 250);
+            console.warn(`[AI] Retryable error (${error.message}). Retrying in ${delay}ms...`);
+            await sleep(delay);
+        }
+    }
+}
+
+// Feeds a stream of text chunks to onToken. If the stream breaks, the error carries
+// the text received so far (error.partialText) and is marked non-retryable once any arrived.
+async function consumeStream(chunks, onToken) {
+    let text = '';
+    try {
+        for await (const chunk of chunks) {
+            if (!chunk) continue;
+            text += chunk;
+            onToken?.(chunk);
+        }
+        return text;
+    } catch (error) {
+        error.partialText = text;
+        if (text) error.retryable = false;
+        throw error;
+    }
+}
+
+// What each Gemini model can do, inferred from its name
+export function describeGeminiModel(name) {
+    const thinking = name.includes('thinking') || name.includes('3-pro');
+    return {
+        vision: true, // every model in the priority list is multimodal
+        thinking, // reasoning models ignore systemInstruction, so we inline it
+        json: !thinking, // ...and don't support native JSON mode
+    };
+}
+
+// --- 2. Gemini Provider ---
+// cache: { load(): Promise<object|null>, save(entry): Promise } backed by settings (see ai.js)
+// onServed({ feature, model, fallbacks }) reports which model actually answered each request
+export function createGeminiProvider({ apiKey }, { cache = null, onServed = null } = {}) {
+    let genAI = null;
+    let models = []; // [{ name, capabilities }] in priority order
+    let activeModelName = null;
+
+    // Cache entries are tied to the key they were discovered with
+    const keyHint = apiKey ? apiKey.slice(-6) : null;
+
+    function getModel(model, extraParams = {}, system = null) {
+        const params = { model: model.name, ...extraParams };
+        if (system && !model.capabilities.thinking) params.systemInstruction = system;
+        return genAI.getGenerativeModel(params);
+    }
+
+    function buildPrompt(model, system, prompt) {
+        return system && model.capabilities.thinking ? `${system}\n\n${prompt}` : prompt;
+    }
+
+    async function persist() {
+        if (!cache) return;
+        await cache.save({
+            provider: 'gemini',
+            keyHint,
+            models,
+            activeModel: activeModelName,
+            discoveredAt: Date.now(),
+            expiresAt: Date.now() + MODEL_CACHE_TTL_MS,
+        });
+    }
+
+    // Lists the models this key can use. A metadata call: it costs no generation quota.
+    async function discoverModels() {
+        const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?pageSize=1000&key=${encodeURIComponent(apiKey)}`);
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            const error = new Error(`HTTP ${response.status} ${response.statusText} ${detail.slice(0, 200)}`.trim());
+            error.status = response.status;
+            throw error;
+        }
+        const data = await response.json();
+        const available = new Set((data.models || [])
+            .filter(m => (m.supportedGenerationMethods || []).includes('generateContent'))
+            .map(m => m.name.replace(/^models\//, '')));
+
+        return MODEL_PRIORITY_LIST
+            .filter(name => available.has(name))
+            .map(name => ({ name, capabilities: describeGeminiModel(name) }));
+    }
+
+    // Tries the active model first, then walks down the priority list on rate-limit/availability errors.
+    // A network failure isn't the model's fault, so it ends the walk instead.
+    async function runWithFallback(feature, needs, task) {
+        const startIndex = Math.max(0, models.findIndex(m => m.name === activeModelName));
+        const candidates = [...models.slice(startIndex), ...models.slice(0, startIndex)]
+            .filter(m => !needs || m.capabilities[needs]);
+        if (candidates.length === 0) throw new Error(`No available model supports ${needs}.`);
+
+        let lastError = null;
+        for (const [fallbacks, model] of candidates.entries()) {
+            try {
+                const result = await withRetry(() => task(model));
+                if (model.name !== activeModelName) {
+                    console.warn(`[AI] Falling back from ${activeModelName} to ${model.name}.`);
+                    activeModelName = model.name;
+                    await persist();
+                }
+                onServed?.({ feature, model: model.name, fallbacks });
+                return result;
+            } catch (error) {
+                if (!isRetryableError(error) || isNetworkError(error)) throw error;
+                console.warn(`[AI] ${model.name} unavailable: ${error.message}`);
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    return {
+        id: 'gemini',
+        get modelName() { return activeModelName; },
+        get models() { return models; },
+
+        // force: ignore the cached discovery result and list models again
+        async initialize({ force = false } = {}) {
+            if (!apiKey) return { success: false, error: "No API Key found." };
+
+            try {
+                // Loaded lazily so the app (and a local provider) still works when the CDN is unreachable
+                const { GoogleGenerativeAI } = await import(GEMINI_SDK_URL);
+                genAI = new GoogleGenerativeAI(apiKey);
+
+                const cached = force || !cache ? null : await cache.load();
+                if (cached?.provider === 'gemini' && cached.keyHint === keyHint && cached.expiresAt > Date.now() && cached.models?.length) {
+                    models = cached.models;
+                    activeModelName = cached.activeModel || models[0].name;
+                    console.log(`[AI] Using cached model: ${activeModelName}`);
+                    return { success: true, model: activeModelName, cached: true };
+                }
+
+                models = await withRetry(discoverModels);
+                if (models.length === 0) {
+                    return { success: false, error: "None of the supported Gemini models are enabled for this key." };
+                }
+                activeModelName = models[0].name;
+                await persist();
+
+                console.log(`[AI] Connected! Model: ${activeModelName} | Reasoning Mode: ${models[0].capabilities.thinking ? 'ON' : 'OFF'}`);
+                return { success: true, model: activeModelName, cached: false };
+
+            } catch (criticalError) {
+                // retryable: offline / rate-limited / server down, as opposed to a bad key or config
+                return { success: false, error: `Init Error: ${criticalError.message}`, retryable: !navigator.onLine || isRetryableError(criticalError) };
+            }
+        },
+
+        async generateText({ system = null, prompt, feature = null }) {
+            return await runWithFallback(feature, null, async (model) => {
+                const result = await getModel(model, {}, system).generateContent(buildPrompt(model, system, prompt));
+                return result.response.text();
+            });
+        },
+
+        async generateJson({ system = null, prompt, schema = null, feature = null }) {
+            return await runWithFallback(feature, null, async (model) => {
+                // Native structured output where the model supports it; otherwise the schema goes in the prompt
+                const native = model.capabilities.json;
+                const extra = native
+                    ? { generationConfig: { responseMimeType: 'application/json', ...(schema ? { responseSchema: toGeminiSchema(schema) } : {}) } }
+                    : {};
+                const fullPrompt = schema && !native ? `${prompt}\n\n${describeSchema(schema)}` : prompt;
+                const result = await getModel(model, extra, system).generateContent(buildPrompt(model, system, fullPrompt));
+                return extractJson(result.response.text());
+            });
+        },
+
+        async streamText({ system = null, prompt, history = [], feature = null, signal = null, onToken = null }) {
+            return await runWithFallback(feature, null, async (model) => {
+                const chat = getModel(model, {}, system).startChat({
+                    history: history.map(turn => ({ role: turn.role === 'assistant' ? 'model' : 'user', parts: [{ text: turn.content }] })),
+                });
+                const result = await chat.sendMessageStream(buildPrompt(model, system, prompt), signal ? { signal } : undefined);
+                return await consumeStream((async function* () {
+                    for await (const chunk of result.stream) yield chunk.text();
+                })(), onToken);
+            });
+        },
+
+        async generateVision({ system = null, prompt, images, feature = null }) {
+            return await runWithFallback(feature, 'vision', async (model) => {
+                const parts = [buildPrompt(model, system, prompt), ...images.map(img => ({ inlineData: { data: img.data, mimeType: img.mimeType } }))];
+                const result = await getModel(model, {}, system).generateContent(parts);
+                return result.response.text();
+            });
+        },
+    };
+}
+
+// --- 3. OpenAI-Compatible Provider (Ollama / llama.cpp / LM Studio / mock servers) ---
+export function createOpenAICompatibleProvider({ baseUrl, apiKey = '', model }, { onServed = null } = {}) {
+    const root = String(baseUrl || '').replace(/\/+$/, '');
+    let activeModelName = model || null;
+
+    async function post(messages, extraBody = {}, signal = null) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+        const response = await fetch(`${root}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ model: activeModelName, messages, ...extraBody }),
+            signal,
+        });
+
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            const error = new Error(`HTTP ${response.status} ${response.statusText} ${detail.slice(0, 200)}`.trim());
+            error.status = response.status;
+            throw error;
+        }
+        return response;
+    }
+
+    async function chat(messages, extraBody = {}) {
+        const data = await (await post(messages, extraBody)).json();
+        return data.choices?.[0]?.message?.content ?? '';
+    }
+
+    // Server-sent events: "data: {json}" lines, terminated by "data: [DONE]"
+    async function* streamDeltas(response) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) return;
+            buffer += decoder.decode(value, { stream: true });
+
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            for (const line of lines) {
+                const payload = line.replace(/^data:\s*/, '').trim();
+                if (!line.startsWith('data:') || !payload) continue;
+                if (payload === '[DONE]') return;
+                yield JSON.parse(payload).choices?.[0]?.delta?.content || '';
+            }
+        }
+    }
+
+    // A single configured model, so "fallback" here is just retry with backoff
+    async function run(feature, task) {
+        const result = await withRetry(task);
+        onServed?.({ feature, model: activeModelName, fallbacks: 0 });
+        return result;
+    }
+
+    function buildMessages(system, userContent, history = []) {
+        const messages = [];
+        if (system) messages.push({ role: 'system', content: system });
+        messages.push(...history.map(turn => ({ role: turn.role, content: turn.content })));
+        messages.push({ role: 'user', content: userContent });
+        return messages;
+    }
+
+    return {
+        id: 'openai-compatible',
+        get modelName() { return activeModelName; },
+        get models() { return activeModelName ? [{ name: activeModelName, capabilities: { vision: true, thinking: false, json: true } }] : []; },
+
+        async initialize() {
+            if (!root) return { success: false, error: "No server URL configured." };
+
+            try {
+                // /models is cheap and tells us the server is alive; use its first model if none was set
+                const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+                const response = await fetch(`${root}/models`, { headers });
+                if (!response.ok) throw Object.assign(new Error(`HTTP ${response.status} ${response.statusText}`), { status: response.status });
+
+                const data = await response.json();
+                const available = (data.data || []).map(m => m.id);
+                if (!activeModelName) activeModelName = available[0] || null;
+                if (!activeModelName) return { success: false, error: "Server reports no models. Set a model name." };
+
+                console.log(`[AI] Connected to ${root}! Model: ${activeModelName}`);
+                return { success: true, model: activeModelName };
+            } catch (error) {
+                return { success: false, error: `Server unreachable: ${error.message}`, retryable: !navigator.onLine || isRetryableError(error) };
+            }
+        },
+
+        async generateText({ system = null, prompt, feature = null }) {
+            return await run(feature, () => chat(buildMessages(system, prompt)));
+        },
+
+        async generateJson({ system = null, prompt, schema = null, feature = null }) {
+            return await run(feature, async () => {
+                if (schema) {
+                    try {
+                        const format = { type: 'json_schema', json_schema: { name: 'response', schema, strict: false } };
+                        return extractJson(await chat(buildMessages(system, prompt), { response_format: format }));
+                    } catch (error) {
+                        // Older servers reject json_schema with a 400; fall back to plain JSON mode
+                        if (error.status !== 400) throw error;
+                    }
+                }
+                const fullPrompt = schema ? `${prompt}\n\n${describeSchema(schema)}` : prompt;
+                return extractJson(await chat(buildMessages(system, fullPrompt), { response_format: { type: 'json_object' } }));
+            });
+        },
+
+        async streamText({ system = null, prompt, history = [], feature = null, signal = null, onToken = null }) {
+            return await run(feature, async () => {
+                const response = await post(buildMessages(system, prompt, history), { stream: true }, signal);
+                return await consumeStream(streamDeltas(response), onToken);
+            });
+        },
+
+        async generateVision({ system = null, prompt, images, feature = null }) {
+            // chat/completions only takes images; PDFs need Gemini
+            if (images.some(img => !img.mimeType.startsWith('image/'))) {
+                const error = new Error("This provider can only read images. Switch to Gemini in ⚙️ Settings for PDFs.");
+                error.retryable = false;
+                throw error;
+            }
+            const content = [
+                { type: 'text', text: prompt },
+                ...images.map(img => ({ type: 'image_url', image_url: { url: `data:${img.mimeType};base64,${img.data}` } })),
+            ];
+            return await run(feature, () => chat(buildMessages(system, content)));
+        },
+    };
+}
+
+// --- 4. Factory ---
+// config: { provider: 'gemini' | 'openai-compatible', geminiApiKey, openai: { baseUrl, apiKey, model } }
+// hooks: { cache, onServed } (see createGeminiProvider)
+export function createProvider(config, hooks = {}) {
+    if (config.provider === 'openai-compatible') {
+        return createOpenAICompatibleProvider(config.openai || {}, hooks);
+    }
+    return createGeminiProvider({ apiKey: config.geminiApiKey }, hooks);
+}
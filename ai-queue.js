@@ -0,0 +1,126 @@
+// ai-queue.js - Offline-First AI Job Queue (jobs wait in Dexie until the network is back)
+//
+// Pages register what a job type does, then queue work they couldn't run:
+//   registerAiJobType('news-analysis', { run: async (payload) => result, open: (job) => {...} })
+//   if (shouldQueueAiJob(error)) await enqueueAiJob('news-analysis', payload, 'Label for the queue list');
+// Queued jobs run on reconnect (Background Sync where supported, the 'online' event otherwise).
+
+import { addAiJob, getAiJobsByStatus, updateAiJob } from './db.js';
+import { logError } from './core.js';
+import { isRetryableError } from './ai-providers.js';
+
+export const AI_QUEUE_SYNC_TAG = 'ai-jobs';
+export const AI_QUEUE_CHANGED_EVENT = 'ai-queue-changed';
+
+// Held while a tab works through the queue, so two open tabs never run the same job
+const QUEUE_LOCK_NAME = 'ai-jobs';
+
+// A rate-limited job is tried again after this long, even without a connectivity change
+const RATE_LIMIT_RETRY_MS = 60 * 1000;
+const MAX_ATTEMPTS = 5;
+
+const jobTypes = {};
+let isProcessing = false;
+let retryTimerId = null;
+
+// --- 1. Registry ---
+export function registerAiJobType(type, handlers) {
+    jobTypes[type] = handlers;
+}
+
+export function getAiJobType(type) {
+    return jobTypes[type];
+}
+
+// --- 2. Queueing ---
+// Worth keeping for later: no connection, or the provider is rate-limited / unavailable
+export function shouldQueueAiJob(error) {
+    return !navigator.onLine || isRetryableError(error);
+}
+
+function notifyChanged() {
+    window.dispatchEvent(new CustomEvent(AI_QUEUE_CHANGED_EVENT));
+}
+
+async function requestBackgroundSync() {
+    try {
+        const registration = await navigator.serviceWorker?.ready;
+        if (registration?.sync) await registration.sync.register(AI_QUEUE_SYNC_TAG);
+    } catch (error) {
+        // Not supported / permission denied: the 'online' listener below covers it
+        console.warn("[AI Queue] Background Sync unavailable:", error.message);
+    }
+}
+
+export async function enqueueAiJob(type, payload, label) {
+    const id = await addAiJob({ type, payload, label });
+    console.log(`[AI Queue] Queued #${id} (${type}).`);
+    notifyChanged();
+    await requestBackgroundSync();
+    return id;
+}
+
+// --- 3. Processing ---
+function scheduleRetry() {
+    clearTimeout(retryTimerId);
+    retryTimerId = setTimeout(processAiQueue, RATE_LIMIT_RETRY_MS);
+}
+
+// Runs queued jobs oldest first. Stops at the first retryable failure so a rate limit isn't hammered.
+// Tabs take turns through a Web Lock: a waiting tab starts after the current one and sees only what's left.
+export async function processAiQueue() {
+    if (isProcessing || !navigator.onLine) return;
+    isProcessing = true;
+
+    try {
+        if (navigator.locks) await navigator.locks.request(QUEUE_LOCK_NAME, runQueuedJobs);
+        else await runQueuedJobs();
+    } catch (error) {
+        logError('AI_QUEUE_PROCESS_FAIL', error);
+    } finally {
+        isProcessing = false;
+    }
+}
+
+async function runQueuedJobs() {
+    if (!navigator.onLine) return;
+
+    // 'running' here means a previous page load died mid-job: the lock was released with it
+    const jobs = await getAiJobsByStatus(['pending', 'running']);
+
+    for (const job of jobs) {
+        const handlers = jobTypes[job.type];
+        if (!handlers) continue; // registered by a page that isn't loaded
+
+        await updateAiJob(job.id, { status: 'running' });
+        notifyChanged();
+
+        try {
+            const result = await handlers.run(job.payload);
+            await updateAiJob(job.id, { status: 'done', result, seen: false, lastError: null });
+            console.log(`[AI Queue] Job #${job.id} (${job.type}) done.`);
+        } catch (error) {
+            const attempts = (job.attempts || 0) + 1;
+            if (shouldQueueAiJob(error) && attempts < MAX_ATTEMPTS) {
+                await updateAiJob(job.id, { status: 'pending', attempts, lastError: error.message });
+                notifyChanged();
+                if (navigator.onLine) scheduleRetry();
+                return;
+            }
+            logError('AI_QUEUE_JOB_FAIL', error, { jobId: job.id, type: job.type });
+            await updateAiJob(job.id, { status: 'failed', attempts, lastError: error.message, seen: false });
+        }
+        notifyChanged();
+    }
+}
+
+// --- 4. Triggers ---
+window.addEventListener('online', processAiQueue);
+
+// The service worker can't run AI calls itself; its 'sync' event asks an open tab to do it
+navigator.serviceWorker?.addEventListener('message', (event) => {
+    if (event.data?.type === 'process-ai-queue') processAiQueue();
+});
+
+// Pages register their job types at module load; start once they all have
+document.addEventListener('DOMContentLoaded', processAiQueue);
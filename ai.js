@@ -1,189 +1,284 @@
-// ai.js - Client-Side AI Integration (Reasoning + CA Generator + News Scanner)
+// ai.js - Client-Side AI Integration (Reasoning + CA Generator + News Scanner + Flashcards)
+// All features go through the provider interface in ai-providers.js (Gemini or OpenAI-compatible).
 
-import { GoogleGenerativeAI } from "https://cdn.jsdelivr.net/npm/@google/generative-ai/+esm";
 import { getSetting, setSetting } from './db.js'; 
-import { APP_CONFIG } from './core.js'; 
+import { APP_CONFIG, CURRENT_AFFAIRS_SLOTS, getMainsWordLimit, describeSelections, currentAffairsSlotOf } from './core.js'; 
+import { normalizeGeneratedQuestions, validateAgainstSchema, formatValidationErrors, AI_QUESTION_LIST_SCHEMA, AI_MAINS_GRADE_SCHEMA, AI_FLASHCARD_LIST_SCHEMA } from './schema.js';
+import { createProvider, AIResponseError } from './ai-providers.js';
 
-// --- MODEL PRIORITY (Bleeding Edge) ---
-const MODEL_PRIORITY_LIST = [
-    // 1. The User's Requested "Gemini 3" (If available to your key)
-    'gemini-3-pro-preview', 
+export { AIResponseError };
 
-    // 2. The Real "Reasoning" Model (Available Now)
-    'gemini-2.5-flash-lite', 
-    'gemini-2.0-flash-thinking-exp', 
-
-    // 3. High Intelligence Standard
-    'gemini-1.5-pro',       
+const GEMINI_API_KEY_DB_KEY = APP_CONFIG.GEMINI_API_KEY_NAME;
+const PROVIDER_CONFIG_DB_KEY = APP_CONFIG.AI_PROVIDER_CONFIG_KEY;
+const MODEL_CACHE_DB_KEY = APP_CONFIG.AI_MODEL_CACHE_KEY;
+const MODEL_USAGE_DB_KEY = APP_CONFIG.AI_MODEL_USAGE_KEY;
 
-    // 4. Fast Backup
-    'gemini-2.0-flash-exp', 
-    'gemini-1.5-flash'     
-];
+let activeProvider = null;
 
-const GEMINI_API_KEY_DB_KEY = APP_CONFIG.GEMINI_API_KEY_NAME;
+// Discovery result persisted in settings so page loads skip the model listing call
+const modelCache = {
+    load: () => getSetting(MODEL_CACHE_DB_KEY),
+    save: (entry) => setSetting(MODEL_CACHE_DB_KEY, entry),
+};
 
-let genAI = null;
-let activeModelName = null;
-let isThinkingModel = false; // Flag to track if we are using a reasoning model
+// Remembers which model answered each feature last (shown in Settings)
+async function recordModelUsage({ feature, model, fallbacks }) {
+    if (!feature) return;
+    try {
+        const usage = (await getSetting(MODEL_USAGE_DB_KEY)) || {};
+        usage[feature] = { model, fallbacks, at: Date.now() };
+        await setSetting(MODEL_USAGE_DB_KEY, usage);
+    } catch (error) {
+        console.warn("[AI] Could not record model usage:", error);
+    }
+}
 
 // --- 1. Initialization ---
-export async function initializeGenerativeModel() {
-    const apiKey = await getSetting(GEMINI_API_KEY_DB_KEY);
-    
-    if (!apiKey) return { success: false, error: "No API Key found." };
+export async function getProviderConfig() {
+    const stored = (await getSetting(PROVIDER_CONFIG_DB_KEY)) || {};
+    return {
+        provider: stored.provider || 'gemini',
+        geminiApiKey: await getSetting(GEMINI_API_KEY_DB_KEY),
+        openai: { baseUrl: '', apiKey: '', model: '', ...(stored.openai || {}) },
+    };
+}
 
-    try {
-        genAI = new GoogleGenerativeAI(apiKey);
-        let lastError = null;
-
-        // Loop through models to find the smartest one available
-        for (const modelName of MODEL_PRIORITY_LIST) {
-            try {
-                console.log(`[AI] Handshaking with: ${modelName}...`);
-                
-                const model = genAI.getGenerativeModel({ model: modelName });
-                await model.generateContent("Test"); 
-                
-                activeModelName = modelName;
-                isThinkingModel = modelName.includes('thinking') || modelName.includes('3-pro');
-
-                console.log(`[AI] Connected! Model: ${activeModelName} | Reasoning Mode: ${isThinkingModel ? 'ON' : 'OFF'}`);
-                return { success: true, model: activeModelName }; 
-                
-            } catch (e) {
-                console.warn(`[AI] ${modelName} unavailable: ${e.message}`);
-                lastError = e.message;
-            }
-        }
-        return { success: false, error: `All models failed. Last Error: ${lastError}` };
+// force: re-list models instead of trusting the cached discovery
+export async function initializeGenerativeModel({ force = false } = {}) {
+    const config = await getProviderConfig();
+    const provider = createProvider(config, { cache: modelCache, onServed: recordModelUsage });
+    const result = await provider.initialize({ force });
 
-    } catch (criticalError) {
-        return { success: false, error: `Init Error: ${criticalError.message}` };
-    }
+    activeProvider = result.success ? provider : null;
+    return result;
 }
 
-export async function saveApiKey(key) {
-    await setSetting(GEMINI_API_KEY_DB_KEY, key);
-    return await initializeGenerativeModel();
+// config: { provider, geminiApiKey, openai: { baseUrl, apiKey, model } }
+export async function saveProviderSettings(config) {
+    if (config.geminiApiKey !== undefined) await setSetting(GEMINI_API_KEY_DB_KEY, config.geminiApiKey);
+    await setSetting(PROVIDER_CONFIG_DB_KEY, {
+        provider: config.provider || 'gemini',
+        openai: config.openai || {},
+    });
+    return await initializeGenerativeModel({ force: true });
+}
+
+// null when no provider is set up. A provider that is configured but unreachable throws a
+// retryable error instead, so callers queue the request (ai-queue.js) rather than give up on it.
+async function getActiveProvider() {
+    if (!activeProvider) {
+        const result = await initializeGenerativeModel();
+        if (!result.success && result.retryable) {
+            throw Object.assign(new Error(`AI provider unreachable (${result.error})`), { retryable: true });
+        }
+    }
+    return activeProvider;
 }
 
 // --- 2. Helpers ---
-function extractJson(text) {
-    try {
-        let cleanText = text.replace(/^```json/, '').replace(/```$/, '').trim();
-        return JSON.parse(cleanText);
-    } catch (e) {
-        const match = text.match(/\{[\s\S]*\}/);
-        if (match) return JSON.parse(match[0]);
-        throw new Error("AI response was not valid JSON.");
+const MAX_PROVENANCE_PROMPT_CHARS = 2000;
+
+// Every generated question records where it came from
+function buildProvenance(feature, prompt) {
+    return {
+        source: 'ai',
+        feature,
+        model: activeProvider?.modelName || null,
+        prompt: prompt.length > MAX_PROVENANCE_PROMPT_CHARS ? `${prompt.slice(0, MAX_PROVENANCE_PROMPT_CHARS)}…` : prompt,
+        generatedAt: new Date().toISOString(),
+    };
+}
+
+const MAX_REPAIR_ROUNDS = 1;
+
+// Structured output: request JSON matching `schema`, validate it, and re-ask once with the
+// problems spelled out if it doesn't fit. Throws AIResponseError ('invalid-json' | 'schema-mismatch').
+// acceptPartial: return the last parsed value even if some of it is off (question lists,
+// where normalizeGeneratedQuestions() quarantines the bad items individually).
+async function generateStructured(provider, { system, prompt, schema, feature, acceptPartial = false }) {
+    let request = prompt;
+    let lastValue;
+    let lastError = null;
+
+    for (let round = 0; round <= MAX_REPAIR_ROUNDS; round++) {
+        try {
+            lastValue = await provider.generateJson({ system, prompt: request, schema, feature });
+            const errors = validateAgainstSchema(lastValue, schema);
+            if (errors.length === 0) return lastValue;
+            lastError = new AIResponseError('schema-mismatch',
+                `AI response did not match the expected format: ${formatValidationErrors(errors.slice(0, 3))}${errors.length > 3 ? ` (+${errors.length - 3} more)` : ''}`,
+                { errors, raw: JSON.stringify(lastValue).slice(0, 2000) });
+        } catch (error) {
+            if (!(error instanceof AIResponseError)) throw error;
+            lastError = error;
+        }
+        if (round === MAX_REPAIR_ROUNDS) break;
+
+        console.warn(`[AI] ${feature}: ${lastError.message} (repair round ${round + 1}/${MAX_REPAIR_ROUNDS})`);
+        request = `${prompt}
+
+        Your previous response was rejected: ${lastError.message}
+        Previous response: ${lastError.raw.slice(0, 1500)}
+        Return the corrected, complete JSON only.`;
     }
+
+    if (acceptPartial && lastError.code === 'schema-mismatch') return lastValue;
+    throw lastError;
 }
 
 // --- 3. AI Features ---
 
-// Feature A: Socratic Tutor (Aditya with Reasoning)
-export async function generateSocraticExplanation(question, userSelections, correctSelections) {
-    if (!activeModelName) await initializeGenerativeModel();
-    if (!activeModelName) return "Error: Aditya is offline. Check Settings.";
+// Feature A: Socratic Tutor (Aditya with Reasoning) — a multi-turn chat scoped to one question
+// mode 'explain': diagnose the user's answer, then keep probing their reasoning.
+// mode 'hint':    before answering; guide with questions and never reveal the answer.
+// history: earlier turns [{ role, content }]; message: the user's new turn.
+// Streams into onToken; errors keep the text received so far in error.partialText.
+export async function chatWithAditya(question, { userSelections = [], correctSelections = [], mode = 'explain', history = [], message, onToken = null, signal = null }) {
+    const provider = await getActiveProvider();
+    if (!provider) throw new Error("Aditya is offline. Check Settings.");
 
-    const systemInstruction = `
-    You are Aditya, a dedicated UPSC mentor. You have a friendly, encouraging personality using modern Indian English (Hinglish).
+    const modeRules = mode === 'hint' ? `
+    ### GOAL ###
+    The student has NOT answered yet. Help them reason their way to the answer.
     
+    ### RULES ###
+    1. NEVER reveal the correct option, and never confirm or rule out a specific option outright.
+    2. Give ONE small hint at a time: a concept to recall, a keyword to notice, an elimination strategy.
+    3. End every reply with a guiding question and wait for their reasoning.
+    4. Use phrases like "full power," "ekdum clear," "bhai".
+    ` : `
     ### GOAL ###
-    Diagnose the user's specific logical mistake.
+    Diagnose the user's specific logical mistake, Socratically.
     
     ### RULES ###
-    1. Focus 90% on WHY the user was wrong.
-    2. Use phrases like "full power," "ekdum clear," "bhai".
-    3. End with an Urdu sher (Roman Urdu + English translation).
+    1. Focus 90% on WHY the user was wrong (or, if right, whether their reasoning was sound).
+    2. Ask a guiding question that makes them re-examine their reasoning, then wait for their reply.
+    3. When they reply, respond to THEIR reasoning before moving on. Keep replies short.
+    4. Use phrases like "full power," "ekdum clear," "bhai".
+    5. End the conversation (when they have got it) with an Urdu sher (Roman Urdu + English translation).
     `;
 
-    const userOptionText = question.options.filter(o => userSelections.includes(o.id)).map(o => o.text).join(', ');
-    const correctOptionText = question.options.filter(o => o.is_correct).map(o => o.text).join(', ');
+    const userOptionText = describeSelections(question, userSelections);
+    const correctOptionText = describeSelections(question, correctSelections);
 
-    const userPrompt = `
+    const systemInstruction = `
+    You are Aditya, a dedicated UPSC mentor. You have a friendly, encouraging personality using modern Indian English (Hinglish).
+    ${modeRules}
+    ### QUESTION CONTEXT ###
     **Question:** ${question.question_text}
+    ${(question.statements || []).map((st, i) => `**Statement ${i + 1}:** ${st.text}`).join('\n    ')}
     **Correct Answer:** ${correctOptionText}
     **User's Answer:** ${userOptionText || "No answer selected"}
-    **Expert Analysis:** ${question.explanation?.text || "None"}
-    
-    Explain this mistake to the student like Aditya.
+    **Expert Analysis:** ${[question.explanation?.summary, question.explanation?.detail].filter(Boolean).join(' ') || "None"}
     `;
-    
-    try {
-        let modelParams = { model: activeModelName };
-        if (!isThinkingModel) {
-            modelParams.systemInstruction = systemInstruction;
-        }
-        const model = genAI.getGenerativeModel(modelParams);
-        const finalPrompt = isThinkingModel ? `${systemInstruction}\n\n${userPrompt}` : userPrompt;
 
-        const result = await model.generateContent(finalPrompt);
-        return result.response.text();
-
-    } catch (error) {
-        return `Aditya says: "Connection issue, bhai! (${error.message})"`;
+    // Providers expect alternating turns; a failed reply can leave two user turns in a row
+    const turns = history.reduce((acc, turn) => {
+        const last = acc[acc.length - 1];
+        if (last && last.role === turn.role) last.content += `\n\n${turn.content}`;
+        else acc.push({ role: turn.role, content: turn.content });
+        return acc;
+    }, []);
+    if (turns[turns.length - 1]?.role === 'user') {
+        message = `${turns.pop().content}\n\n${message}`;
     }
+
+    return await provider.streamText({ system: systemInstruction, prompt: message, history: turns, feature: 'aditya', onToken, signal });
 }
 
 // Feature B: Remix Quiz
+// Returns { accepted, rejected, repairs, provenance } (see schema.js normalizeGeneratedQuestions)
 export async function generateRemixQuiz(context, existingQuestions, count = 5) {
-    if (!activeModelName) await initializeGenerativeModel();
-    if (!activeModelName) throw new Error("AI not active.");
+    const provider = await getActiveProvider();
+    if (!provider) throw new Error("AI not active.");
 
     const systemInstruction = `Generate ${count} questions in strict JSON format based on the user's topic.`;
     const userPrompt = `Subject: ${context.subject}. Topic: ${context.topic}. 
-    Reference Schema: ${JSON.stringify(existingQuestions[0])}. 
-    Return ONLY JSON.`;
+    Style Reference: ${JSON.stringify(existingQuestions[0])}. 
+    Return ONLY JSON: {"questions": [...]}.`;
     
-    try {
-        const model = genAI.getGenerativeModel({ model: activeModelName });
-        const finalPrompt = `${systemInstruction}\n\n${userPrompt}`;
-        const result = await model.generateContent(finalPrompt);
-        return extractJson(result.response.text());
-    } catch (error) {
-        throw new Error(error.message);
-    }
+    const finalPrompt = `${systemInstruction}\n\n${userPrompt}`;
+    const raw = await generateStructured(provider, {
+        system: systemInstruction, prompt: userPrompt, schema: AI_QUESTION_LIST_SCHEMA, feature: 'remix', acceptPartial: true,
+    });
+    const provenance = buildProvenance('remix', finalPrompt);
+    const normalized = normalizeGeneratedQuestions(raw, {
+        subject: context.subject,
+        topic: context.topic,
+        provenance,
+    });
+    return { ...normalized, provenance };
 }
 
 // Feature C: Vision Notes
-export async function generateNotesFromDiagram(base64Image, mimeType, promptText) {
-    if (!activeModelName) await initializeGenerativeModel();
-    if (!activeModelName) throw new Error("AI not active.");
-
-    try {
-        const model = genAI.getGenerativeModel({ model: activeModelName });
-        const result = await model.generateContent([promptText, { inlineData: { data: base64Image, mimeType } }]);
-        return result.response.text();
-    } catch (error) {
-        throw new Error(error.message);
-    }
+// What to pull out of the uploaded images; every preset answers in markdown for the notes editor
+export const DIAGRAM_PROMPT_PRESETS = {
+    general: {
+        label: 'General diagram / map',
+        prompt: 'Analyze this diagram/map for UPSC relevance. Write concise revision notes in markdown: key facts, concepts and likely exam angles.',
+    },
+    map: {
+        label: 'Map marking',
+        prompt: 'This is a map. List every place, river, mountain range, strait or region marked or clearly visible, one per line in markdown, with its location (state/country, neighbours) and one UPSC-relevant fact each (Prelims map questions style).',
+    },
+    flowchart: {
+        label: 'Flowchart summary',
+        prompt: 'This is a flowchart or process diagram. Summarise it in markdown as numbered steps in order, naming every actor/stage, then add a short "Exam angle" section on how UPSC could ask about it.',
+    },
+    table: {
+        label: 'Data table extraction',
+        prompt: 'Extract every table or chart in these images as markdown tables, keeping all numbers, units and headings exactly. Then add 3-5 bullet points on the trends a UPSC answer could quote.',
+    },
+    handwritten: {
+        label: 'Handwritten notes transcription',
+        prompt: 'Transcribe these handwritten notes into clean markdown, keeping the original headings, bullet structure and abbreviations. Mark illegible words as [?]. Do not add content that is not written.',
+    },
+};
+
+// images: [{ data: base64, mimeType }] (several pages/diagrams make one consolidated note)
+export async function generateNotesFromDiagram(images, preset = 'general') {
+    const provider = await getActiveProvider();
+    if (!provider) throw new Error("AI not active.");
+
+    const { prompt } = DIAGRAM_PROMPT_PRESETS[preset] || DIAGRAM_PROMPT_PRESETS.general;
+    const consolidated = images.length > 1
+        ? `${prompt}\n\nThere are ${images.length} images/pages. Treat them as one source and write ONE consolidated note, not one section per image.`
+        : prompt;
+    return await provider.generateVision({ prompt: consolidated, images, feature: 'vision-notes' });
 }
 
 // Feature D: Mains Grader
+// Returns the AI's raw per-criterion ratings; core.js buildMainsScorecard() scales them to maxMarks.
 export async function gradeMainsAnswer(question, userAnswer, modelAnswerKey, maxMarks = 10) {
-    if (!activeModelName) await initializeGenerativeModel();
-    if (!activeModelName) throw new Error("AI not active.");
+    const provider = await getActiveProvider();
+    if (!provider) throw new Error("AI not active.");
+
+    const wordLimit = getMainsWordLimit(maxMarks);
     
-    const userPrompt = `System: Grade this UPSC Mains answer accurately. Return JSON: {score: number, feedback: string}.
-    Question: ${question} 
-    Model Points: ${modelAnswerKey}
+    const systemInstruction = `You are a strict UPSC Mains examiner grading a ${maxMarks}-mark answer (word limit ~${wordLimit}).
+    Rate each rubric criterion from 0 to 10 and justify it in one sentence:
+    - introduction: Does it define/contextualise the demand of the question crisply?
+    - body: Are all dimensions of the question covered, matching the model points?
+    - examples: Are there relevant examples, data, committee reports, articles or case studies?
+    - conclusion: Is there a balanced conclusion / way forward?
+    Be realistic: an average aspirant answer rates 4-5, a topper answer 7-8.
+
+    Return ONLY JSON: per-criterion ratings, overall feedback and a list of improvements.`;
+
+    const userPrompt = `Question: ${question} 
+    Model Points: ${modelAnswerKey || "Not provided. Use your own UPSC-standard model points."}
     Student Answer: ${userAnswer}`;
     
-    try {
-        const model = genAI.getGenerativeModel({ model: activeModelName });
-        const result = await model.generateContent(userPrompt);
-        return extractJson(result.response.text());
-    } catch (error) {
-        throw new Error(error.message);
-    }
+    return await generateStructured(provider, {
+        system: systemInstruction, prompt: userPrompt, schema: AI_MAINS_GRADE_SCHEMA, feature: 'mains-grader',
+    });
 }
 
 // Feature E: Daily Current Affairs Generator
-export async function generateCurrentAffairsQuiz(exampleSchema) {
-    if (!activeModelName) await initializeGenerativeModel();
-    if (!activeModelName) throw new Error("AI not active. Connect Key in Settings.");
+// context: { subject, topic } stamped on every question, plus its caSlot. Returns the same shape as generateRemixQuiz.
+export async function generateCurrentAffairsQuiz(exampleSchema, context = {}) {
+    const provider = await getActiveProvider();
+    if (!provider) throw new Error("AI not active. Connect Key in Settings.");
 
     const today = new Date().toLocaleDateString('en-IN', { year: 'numeric', month: 'long', day: 'numeric' });
 
@@ -196,32 +291,39 @@ export async function generateCurrentAffairsQuiz(exampleSchema) {
     STRICT GUIDELINES:
     1. Generate exactly 5 Questions.
     2. DIVERSITY: 
-       - Q1: Polity (Recent Bills/Supreme Court Verdicts -> Static Linkage).
-       - Q2: Economy (Banking/Inflation/Trade data -> Core Concepts).
-       - Q3: Environment (Species in news/Conferences -> Conservation status).
-       - Q4: Science & Tech (New Tech/Space -> Principles).
-       - Q5: IR/Mapping (Places in news -> Geography).
+${CURRENT_AFFAIRS_SLOTS.map((slot, i) => `       - Q${i + 1}: ${slot.label} (${slot.focus}).`).join('\n')}
     
     3. PATTERN: Use 'Statement Based' (Consider the following statements...) format.
-    4. OUTPUT: Return strictly a JSON array matching the provided Schema. No markdown, no text.
+    4. TAGGING: The first entry of each question's "keywords" must be its slot name exactly (${CURRENT_AFFAIRS_SLOTS.map(s => s.label).join(', ')}).
+    5. OUTPUT: Return strictly a JSON object {"questions": [...]} in the provided style. No markdown, no text.
     `;
 
-    const userPrompt = `Schema Reference: ${JSON.stringify(exampleSchema)}. Generate the JSON now.`;
+    const userPrompt = `Style Reference: ${JSON.stringify(exampleSchema)}. Generate the JSON now.`;
     
-    try {
-        const model = genAI.getGenerativeModel({ model: activeModelName });
-        const finalPrompt = `${systemInstruction}\n\n${userPrompt}`;
-        const result = await model.generateContent(finalPrompt);
-        return extractJson(result.response.text());
-    } catch (error) {
-        throw new Error(error.message);
-    }
+    const finalPrompt = `${systemInstruction}\n\n${userPrompt}`;
+    const raw = await generateStructured(provider, {
+        system: systemInstruction, prompt: userPrompt, schema: AI_QUESTION_LIST_SCHEMA, feature: 'current-affairs', acceptPartial: true,
+    });
+    const provenance = buildProvenance('current-affairs', finalPrompt);
+    const normalized = normalizeGeneratedQuestions(raw, {
+        subject: context.subject,
+        topic: context.topic,
+        provenance,
+    });
+    // Slot from the keyword tag; a full, untagged set falls back to the prompt order
+    const inOrder = normalized.accepted.length === CURRENT_AFFAIRS_SLOTS.length;
+    normalized.accepted.forEach((q, i) => {
+        const slot = currentAffairsSlotOf(q) || (inOrder ? CURRENT_AFFAIRS_SLOTS[i].id : null);
+        if (slot) q.caSlot = slot;
+    });
+    return { ...normalized, provenance };
 }
 
 // Feature F: News Scanner (NEW - for News Analysis)
-export async function generateNewsAnalysis(inputText) {
-    if (!activeModelName) await initializeGenerativeModel();
-    if (!activeModelName) throw new Error("AI not active. Connect Key in Settings.");
+// Streams like Feature A.
+export async function generateNewsAnalysis(inputText, { onToken = null, signal = null } = {}) {
+    const provider = await getActiveProvider();
+    if (!provider) throw new Error("AI not active. Connect Key in Settings.");
 
     const systemInstruction = `
     You are Aditya, an expert UPSC Mentor.
@@ -246,15 +348,31 @@ export async function generateNewsAnalysis(inputText) {
 
     const userPrompt = `Analyze this: "${inputText}"`;
 
-    try {
-        const model = genAI.getGenerativeModel({ model: activeModelName });
-        // Concatenate for robustness with all model types
-        const finalPrompt = `${systemInstruction}\n\n${userPrompt}`;
-        
-        const result = await model.generateContent(finalPrompt);
-        return result.response.text();
-    } catch (error) {
-        throw new Error(error.message);
-    }
+    return await provider.streamText({ system: systemInstruction, prompt: userPrompt, feature: 'news-scanner', onToken, signal });
 }
 
+// Feature G: Flashcards from Notes
+// Returns [{ front, back }] drawn only from the note; the caller stamps deck/origin (see schema.js FLASHCARD_SCHEMA).
+export async function generateFlashcardsFromNote(note, count = 10) {
+    const provider = await getActiveProvider();
+    if (!provider) throw new Error("AI not active. Connect Key in Settings.");
+
+    const systemInstruction = `You turn UPSC revision notes into flashcards for quick daily recall on a phone.
+    Rules:
+    - Up to ${count} cards, one fact per card. Skip anything that isn't worth memorising.
+    - front: a short, specific question or cue (max ~20 words). No "True or false" cards.
+    - back: the answer in 1-2 lines. Use ONLY facts stated in the note; never add outside information.
+    Return ONLY JSON.`;
+
+    const userPrompt = `Note title: ${note.title}
+    Note:
+    ${note.content}`;
+
+    const { cards } = await generateStructured(provider, {
+        system: systemInstruction, prompt: userPrompt, schema: AI_FLASHCARD_LIST_SCHEMA, feature: 'note-flashcards',
+    });
+    return cards
+        .map(c => ({ front: c.front.trim(), back: c.back.trim() }))
+        .filter(c => c.front && c.back)
+        .slice(0, count);
+}
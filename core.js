@@ -3,9 +3,18 @@
 // --- Global Constants ---
 export const APP_CONFIG = {
     DEFAULT_DATA_SOURCE: './data/initial_questions.json', // Explicit path
+    CONTENT_MANIFEST_URL: './data/packs.json', // { packs: [{ id, title, version, url, checksum, retired? }] }
     GEMINI_API_KEY_NAME: 'gemini-api-key', 
+    AI_PROVIDER_CONFIG_KEY: 'ai-provider-config', // { provider, openai: { baseUrl, apiKey, model } }
+    AI_MODEL_CACHE_KEY: 'ai-model-cache', // { provider, keyHint, models, activeModel, discoveredAt, expiresAt }
+    AI_MODEL_USAGE_KEY: 'ai-model-usage', // { [feature]: { model, fallbacks, at } }
+    PARTIAL_CREDIT_KEY: 'partial-credit', // Settings flag: fractional marks for multi-select/statement questions
+    BACKUP_REMINDER_KEY: 'backup-reminder', // { intervalDays, lastBackupAt, snoozedUntil } (device-local, never backed up)
 };
 
+// Suggested note tags (subjects from the bank are offered alongside)
+export const NOTE_TAG_PRESETS = ['Prelims', 'GS-I', 'GS-II', 'GS-III', 'GS-IV', 'Essay'];
+
 // --- Tailwind Theme Safety Map (Ensures dynamic classes aren't purged) ---
 export const THEME_CLASS_MAP = {
     'bg-primary': 'bg-indigo-600',
@@ -24,19 +33,79 @@ export function getSafeThemeClasses(key) {
     return THEME_CLASS_MAP[key] || '';
 }
 
-// --- 1. Score Calculation Logic (Robust for Arrays) ---
-export function calculateScore(question, userSelections) {
+// --- Marking Schemes ---
+// Real GS Paper I: +2 per correct answer, one-third of that deducted per wrong answer.
+export const MARKING_SCHEMES = {
+    practice: { correct: 1, wrong: 0 },
+    prelims: { correct: 2, wrong: -2 / 3 },
+};
+
+// Official General-category GS Paper I cutoffs (out of 200)
+export const PRELIMS_CUTOFFS = [
+    { year: 2019, cutoff: 98.00 },
+    { year: 2020, cutoff: 92.51 },
+    { year: 2021, cutoff: 87.54 },
+    { year: 2022, cutoff: 88.22 },
+    { year: 2023, cutoff: 75.41 },
+];
+
+// --- 1. Answer Modes ---
+// 'single'     : one correct option, radio behaviour (also the legacy "multi-choice" MCQ type)
+// 'multi'      : several correct options, checkbox behaviour
+// 'statements' : type "statement-based"; user marks each statement True/False
+export function getAnswerMode(question) {
+    if (question.type === 'statement-based' && question.statements?.length) return 'statements';
+    const correctCount = (question.options || []).filter(opt => opt.is_correct === true).length;
+    return correctCount > 1 ? 'multi' : 'single';
+}
+
+// Statement judgements live in the same selections array as option ids, encoded "S1:T" / "S1:F"
+export function encodeStatementMark(statementId, markedTrue) {
+    return `${statementId}:${markedTrue ? 'T' : 'F'}`;
+}
+
+export function getCorrectSelections(question) {
+    if (getAnswerMode(question) === 'statements') {
+        return question.statements.map(st => encodeStatementMark(st.id, st.is_correct === true));
+    }
+    return (question.options || [])
+        .filter(opt => opt.is_correct === true)
+        .map(opt => opt.id);
+}
+
+// Human-readable version of a selections array (for AI prompts and summaries)
+export function describeSelections(question, selections) {
+    if (getAnswerMode(question) === 'statements') {
+        return (selections || []).map(mark => {
+            const [id, verdict] = mark.split(':');
+            const statement = question.statements.find(st => st.id === id);
+            return `"${statement?.text || id}" marked ${verdict === 'T' ? 'TRUE' : 'FALSE'}`;
+        }).join('; ');
+    }
+    return (question.options || [])
+        .filter(opt => (selections || []).includes(opt.id))
+        .map(opt => opt.text)
+        .join(', ');
+}
+
+// --- 1b. Score Calculation Logic (Robust for Arrays) ---
+// options.partialCredit: multi-select questions earn (right picks - wrong picks) / correct count
+// of the marks (never below zero); statement questions earn the share of statements judged right.
+export function calculateScore(question, userSelections, scheme = MARKING_SCHEMES.practice, options = {}) {
     let score = 0;
     let isCorrect = false;
+    let partial = 0;
     let mistakes = [];
 
+    const mode = getAnswerMode(question);
+
     // Ensure we are working with arrays
-    const userSet = new Set(userSelections || []);
+    const selections = userSelections || [];
+    const userSet = new Set(selections);
+    const attempted = userSet.size > 0;
     
-    // Identify correct option IDs from the question object
-    const correctOptions = question.options
-        .filter(opt => opt.is_correct === true)
-        .map(opt => opt.id);
+    // Identify correct selections (option ids, or statement judgements)
+    const correctOptions = getCorrectSelections(question);
     const correctSet = new Set(correctOptions);
 
     // Exact Match Logic: Must select ALL correct options and NO incorrect ones
@@ -44,47 +113,333 @@ export function calculateScore(question, userSelections) {
                          [...userSet].every(id => correctSet.has(id));
 
     if (isExactMatch) {
-        score = 1; // Full mark
+        score = scheme.correct; // Full mark
         isCorrect = true;
+        partial = 1;
     } else {
+        const rightPicks = selections.filter(id => correctSet.has(id)).length;
+        const wrongPicks = selections.length - rightPicks;
+        if (mode === 'multi') partial = Math.max(0, (rightPicks - wrongPicks) / correctSet.size);
+        if (mode === 'statements') partial = rightPicks / correctSet.size; // Each statement is its own T/F call
+
+        if (attempted) {
+            // Unattempted questions are never penalised
+            score = (options.partialCredit && partial > 0)
+                ? Math.round(partial * scheme.correct * 100) / 100
+                : scheme.wrong;
+        }
+
         // Log mistakes for the AI Explainer to analyze later
         const missedCorrect = correctOptions.filter(id => !userSet.has(id));
-        const chosenIncorrect = userSelections.filter(id => !correctSet.has(id));
+        const chosenIncorrect = selections.filter(id => !correctSet.has(id));
         mistakes = [...new Set([...missedCorrect, ...chosenIncorrect])];
     }
 
-    return { score, isCorrect, mistakes };
+    return { score, isCorrect, attempted, partial, mistakes, correctOptions };
 }
 
 
 // --- 2. Quiz Result Aggregation ---
-export function aggregateQuizResults(quizRunResults) {
+export function aggregateQuizResults(quizRunResults, context = {}) {
+    const scheme = context.scheme || MARKING_SCHEMES.practice;
     let totalScore = 0;
+    let totalTimeMs = 0;
+    let correctCount = 0;
+    let wrongCount = 0;
+    let unattemptedCount = 0;
     const totalQuestions = quizRunResults.length;
     const mistakesLog = [];
 
     quizRunResults.forEach(result => {
+        totalTimeMs += result.timeSpentMs || 0;
+        totalScore += result.score; // Wrong answers carry negative marks under exam schemes
+
         if (result.isCorrect) {
-            totalScore += result.score;
+            correctCount++;
         } else {
+            if (result.attempted === false) unattemptedCount++;
+            else wrongCount++;
+
             // Save detailed context for the "Review" mode
             mistakesLog.push({
                 questionId: result.questionId,
                 userSelections: result.userSelections, 
-                detailedMistakes: result.detailedMistakes || [], 
+                detailedMistakes: result.mistakes || [], 
             });
         }
     });
 
+    const attemptedCount = correctCount + wrongCount;
+
     return {
-        timestamp: new Date().toISOString(),
-        subject: quizRunResults[0]?.subject || 'Mixed', 
-        score: totalScore,
+        timestamp: Date.now(),
+        mode: context.mode || 'practice',
+        subject: context.subject || quizRunResults[0]?.subject || 'Mixed', 
+        topic: context.topic || quizRunResults[0]?.topic || null,
+        score: Math.round(totalScore * 100) / 100,
+        maxScore: totalQuestions * scheme.correct,
         totalQuestions: totalQuestions,
+        correctCount,
+        wrongCount,
+        unattemptedCount,
+        attemptedCount,
+        accuracy: totalQuestions ? Math.round((correctCount / totalQuestions) * 100) : 0,
+        attemptAccuracy: attemptedCount ? Math.round((correctCount / attemptedCount) * 100) : 0,
+        negativeMarks: Math.round(wrongCount * Math.abs(scheme.wrong) * 100) / 100,
+        durationMs: totalTimeMs,
         mistakes: mistakesLog, 
+        questions: quizRunResults, // Per-question detail for the History drill-down
+    };
+}
+
+// Scales past GS-I cutoffs to this paper's size so shorter mocks still get a benchmark
+export function estimateCutoffComparison(netScore, maxScore) {
+    const average = PRELIMS_CUTOFFS.reduce((sum, c) => sum + c.cutoff, 0) / PRELIMS_CUTOFFS.length;
+    const scaledCutoff = Math.round((average / 200) * maxScore * 100) / 100;
+    const latest = PRELIMS_CUTOFFS[PRELIMS_CUTOFFS.length - 1];
+
+    return {
+        estimatedCutoff: scaledCutoff,
+        margin: Math.round((netScore - scaledCutoff) * 100) / 100,
+        cleared: netScore >= scaledCutoff,
+        basis: `Avg. General cutoff ${PRELIMS_CUTOFFS[0].year}-${latest.year} (${average.toFixed(2)}/200)`,
+    };
+}
+
+// --- 2b. Performance Analytics (History Dashboard) ---
+// Buckets every stored question attempt by subject and topic so the dashboard
+// can show trends over time and pick out the strongest/weakest areas.
+export function computePerformanceStats(attempts, minAttemptsForRanking = 3) {
+    const subjects = new Map();
+    const topics = new Map();
+
+    const bump = (map, key, extra) => {
+        if (!map.has(key)) map.set(key, { ...extra, attempted: 0, correct: 0, timeSpentMs: 0, trend: [] });
+        return map.get(key);
+    };
+
+    // Oldest first, so trend arrays read left-to-right in time
+    const ordered = [...attempts].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    ordered.forEach(attempt => {
+        const perAttempt = new Map(); // subject/topic bucket -> { attempted, correct } in this attempt
+
+        (attempt.questions || []).forEach(q => {
+            const subject = q.subject || attempt.subject || 'Mixed';
+            const topic = q.topic || attempt.topic || 'General';
+
+            const s = bump(subjects, subject, { subject });
+            const t = bump(topics, `${subject}::${topic}`, { subject, topic });
+            [s, t].forEach(bucket => {
+                bucket.attempted++;
+                if (q.isCorrect) bucket.correct++;
+                bucket.timeSpentMs += q.timeSpentMs || 0;
+
+                if (!perAttempt.has(bucket)) perAttempt.set(bucket, { attempted: 0, correct: 0 });
+                const pa = perAttempt.get(bucket);
+                pa.attempted++;
+                if (q.isCorrect) pa.correct++;
+            });
+        });
+
+        perAttempt.forEach((pa, bucket) => {
+            bucket.trend.push({
+                timestamp: attempt.timestamp,
+                accuracy: Math.round((pa.correct / pa.attempted) * 100),
+            });
+        });
+    });
+
+    const withAccuracy = bucket => ({
+        ...bucket,
+        accuracy: bucket.attempted ? Math.round((bucket.correct / bucket.attempted) * 100) : 0,
+    });
+
+    const subjectStats = [...subjects.values()].map(withAccuracy);
+    const topicStats = [...topics.values()].map(withAccuracy);
+
+    // Only rank topics with enough data to be meaningful
+    const ranked = topicStats
+        .filter(t => t.attempted >= minAttemptsForRanking)
+        .sort((a, b) => b.accuracy - a.accuracy);
+
+    // Split the ranking so a topic never shows up as both "best" and "worst"
+    const bestTopics = ranked.slice(0, Math.min(3, Math.ceil(ranked.length / 2)));
+    const worstTopics = ranked.slice(bestTopics.length).slice(-3).reverse();
+
+    return {
+        totalAttempts: attempts.length,
+        subjects: subjectStats,
+        topics: topicStats,
+        bestTopics,
+        worstTopics,
+    };
+}
+
+// --- 2c. Spaced Repetition Scheduler (SM-2) ---
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Maps a quiz outcome onto the SM-2 0-5 recall quality scale
+export function reviewQualityFromResult(result) {
+    if (!result.isCorrect) return result.userSelections?.length ? 1 : 0; // Wrong guess vs. blank
+    return (result.timeSpentMs && result.timeSpentMs < 30000) ? 5 : 4;  // Quick & sure vs. slow recall
+}
+
+// Returns the next state of a review card. A brand new card only needs { questionId }.
+export function scheduleReview(card, quality, now = Date.now()) {
+    let ease = card.ease ?? 2.5;
+    let interval = card.interval ?? 0;
+    let repetitions = card.repetitions ?? 0;
+
+    if (quality < 3) {
+        // Lapse: start the ladder again, see it tomorrow
+        repetitions = 0;
+        interval = 1;
+    } else {
+        repetitions++;
+        if (repetitions === 1) interval = 1;
+        else if (repetitions === 2) interval = 6;
+        else interval = Math.round(interval * ease);
+    }
+
+    ease = Math.max(1.3, ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+
+    return {
+        ...card,
+        ease: Math.round(ease * 100) / 100,
+        interval,
+        repetitions,
+        lapses: (card.lapses || 0) + (quality < 3 ? 1 : 0),
+        lastReviewed: now,
+        due: now + interval * DAY_MS,
     };
 }
 
+// --- 2d. Mains Answer Rubric ---
+// Weights add up to 1 and are scaled to whatever maxMarks the question carries.
+export const MAINS_RUBRIC = [
+    { key: 'introduction', label: 'Introduction', weight: 0.15 },
+    { key: 'body', label: 'Body Coverage', weight: 0.40 },
+    { key: 'examples', label: 'Examples & Data', weight: 0.20 },
+    { key: 'conclusion', label: 'Conclusion / Way Forward', weight: 0.15 },
+    { key: 'word_limit', label: 'Word Limit', weight: 0.10 },
+];
+
+// UPSC convention: 10-markers ~150 words, 15-markers ~250 words
+export function getMainsWordLimit(maxMarks) {
+    return maxMarks >= 15 ? 250 : Math.round(maxMarks * 15);
+}
+
+export function countWords(text) {
+    return (String(text || '').trim().match(/\S+/g) || []).length;
+}
+
+// Word-limit marks are computed locally (deterministic), not left to the model
+function scoreWordLimit(wordCount, wordLimit) {
+    if (wordCount === 0) return 0;
+    const ratio = wordCount / wordLimit;
+    if (ratio >= 0.8 && ratio <= 1.1) return 10;
+    if (ratio >= 0.6 && ratio <= 1.3) return 6;
+    return 3;
+}
+
+const roundHalf = n => Math.round(n * 2) / 2; // UPSC awards in half marks
+
+/**
+ * Turns the AI's per-criterion ratings (0-10) into marks scaled to maxMarks.
+ */
+export function buildMainsScorecard(aiGrade, userAnswer, maxMarks = 10) {
+    const wordCount = countWords(userAnswer);
+    const wordLimit = getMainsWordLimit(maxMarks);
+    const ratings = aiGrade?.criteria || {};
+
+    const breakdown = MAINS_RUBRIC.map(criterion => {
+        const raw = criterion.key === 'word_limit'
+            ? scoreWordLimit(wordCount, wordLimit)
+            : Number(ratings[criterion.key]?.rating ?? 0);
+        const rating = Math.min(10, Math.max(0, isNaN(raw) ? 0 : raw));
+        const max = criterion.weight * maxMarks;
+        return {
+            key: criterion.key,
+            label: criterion.label,
+            rating,
+            max: Math.round(max * 100) / 100,
+            score: roundHalf((rating / 10) * max),
+            comment: criterion.key === 'word_limit'
+                ? `${wordCount} words (limit ~${wordLimit}).`
+                : (ratings[criterion.key]?.comment || ''),
+        };
+    });
+
+    return {
+        // Sum of the rounded lines, so the headline always matches the breakdown shown
+        score: Math.min(maxMarks, breakdown.reduce((sum, c) => sum + c.score, 0)),
+        maxMarks,
+        wordCount,
+        wordLimit,
+        breakdown,
+        feedback: aiGrade?.feedback || '',
+        improvements: Array.isArray(aiGrade?.improvements) ? aiGrade.improvements : [],
+    };
+}
+
+// --- 2e. Current Affairs Archive ---
+export const CURRENT_AFFAIRS_SUBJECT = 'Current Affairs';
+
+// The five questions of the daily mini-mock, in prompt order (ai.js generateCurrentAffairsQuiz)
+export const CURRENT_AFFAIRS_SLOTS = [
+    { id: 'polity', label: 'Polity', paper: 'GS-II', focus: 'Recent Bills/Supreme Court Verdicts -> Static Linkage' },
+    { id: 'economy', label: 'Economy', paper: 'GS-III', focus: 'Banking/Inflation/Trade data -> Core Concepts' },
+    { id: 'environment', label: 'Environment', paper: 'GS-III', focus: 'Species in news/Conferences -> Conservation status' },
+    { id: 'science', label: 'S&T', paper: 'GS-III', focus: 'New Tech/Space -> Principles' },
+    { id: 'ir', label: 'IR', paper: 'GS-II', focus: 'Places in news -> Geography' },
+];
+
+// A day's questions share topic = its en-GB date ("18/10/2026")
+export function currentAffairsTopic(date = new Date()) {
+    return date.toLocaleDateString('en-GB');
+}
+
+// "18/10/2026" -> local midnight in epoch ms; null for anything else
+export function parseCurrentAffairsTopic(topic) {
+    const match = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(topic || '');
+    if (!match) return null;
+    const [, day, month, year] = match.map(Number);
+    return new Date(year, month - 1, day).getTime();
+}
+
+// Slot id from the question's stored caSlot, else its keywords (the prompt asks for the slot label first)
+export function currentAffairsSlotOf(question) {
+    if (question.caSlot) return question.caSlot;
+    const keywords = (question.keywords || []).map(k => String(k).toLowerCase());
+    return CURRENT_AFFAIRS_SLOTS.find(slot => keywords.includes(slot.label.toLowerCase()))?.id || null;
+}
+
+/**
+ * Groups Current Affairs questions by generated day, newest first.
+ * Returns [{ topic, date, questions, slots: [slot ids present] }]; topics that aren't dates are dropped.
+ */
+export function groupCurrentAffairsDays(questions) {
+    const days = new Map();
+    questions.forEach(q => {
+        const date = parseCurrentAffairsTopic(q.topic);
+        if (date === null) return;
+        const day = days.get(q.topic) || { topic: q.topic, date, questions: [], slots: [] };
+        day.questions.push(q);
+        const slot = currentAffairsSlotOf(q);
+        if (slot && !day.slots.includes(slot)) day.slots.push(slot);
+        days.set(q.topic, day);
+    });
+    return [...days.values()].sort((a, b) => b.date - a.date);
+}
+
+// Questions from the days within the last `days` days (today included)
+export function compileCurrentAffairs(dayGroups, days, now = Date.now()) {
+    const today = new Date(now);
+    const since = new Date(today.getFullYear(), today.getMonth(), today.getDate()).getTime() - (days - 1) * DAY_MS;
+    return dayGroups.filter(d => d.date >= since).flatMap(d => d.questions);
+}
+
 // --- 3. Centralized Error Logging ---
 export function logError(tag, error, details = {}) {
     const errorTime = new Date().toISOString();
@@ -125,3 +480,56 @@ export async function fetchInitialQuestions(source = APP_CONFIG.DEFAULT_DATA_SOU
     }
 }
 
+// --- Binary Helpers (Blobs <-> base64 for AI calls and JSON backups) ---
+export async function blobToBase64(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    const CHUNK = 0x8000; // String.fromCharCode's argument limit
+    for (let i = 0; i < bytes.length; i += CHUNK) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK));
+    }
+    return btoa(binary);
+}
+
+export function base64ToBlob(data, mimeType) {
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type: mimeType });
+}
+
+// --- Content Packs ---
+export async function sha256Hex(buffer) {
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// no-cache: the service worker goes to the network first, so new packs are seen on this launch
+export async function fetchContentManifest(source = APP_CONFIG.CONTENT_MANIFEST_URL) {
+    const response = await fetch(source, { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`HTTP Error: ${response.status} ${response.statusText}`);
+
+    const manifest = await response.json();
+    if (!Array.isArray(manifest.packs)) throw new Error("Manifest format error: 'packs' must be an array.");
+    return manifest;
+}
+
+/**
+ * Downloads a pack and checks it against the manifest checksum ("sha256-<hex>").
+ * A cached copy can be older than the manifest, so a mismatch is retried once from the network.
+ */
+export async function fetchContentPack(pack) {
+    for (const cacheMode of ['default', 'reload']) {
+        const response = await fetch(pack.url, { cache: cacheMode });
+        if (!response.ok) throw new Error(`HTTP Error: ${response.status} ${response.statusText}`);
+
+        const buffer = await response.arrayBuffer();
+        if (`sha256-${await sha256Hex(buffer)}` !== pack.checksum) continue;
+
+        const questions = JSON.parse(new TextDecoder().decode(buffer));
+        if (!Array.isArray(questions)) throw new Error("Pack format error: Root element must be an array of questions.");
+        return questions;
+    }
+    throw new Error(`Checksum mismatch for pack "${pack.id}" v${pack.version}.`);
+}
+
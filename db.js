@@ -1,20 +1,85 @@
-// db.js - Complete Database & Search Logic (Fixed Exports)
-import { fetchInitialQuestions, APP_CONFIG } from './core.js'; 
+// db.js - Database, Migrations & Search. The only module that touches Dexie: pages use the functions exported here.
+import { fetchInitialQuestions, fetchContentManifest, fetchContentPack, blobToBase64, base64ToBlob, APP_CONFIG } from './core.js'; 
+import { planPackUpdate, normalizeNote, validateNote, normalizeFlashcard, validateFlashcard, validateQuestion, toEpochMs, formatValidationErrors, BACKUP_FORMAT, BACKUP_FORMAT_VERSION, planTableRestore } from './schema.js';
 
 // --- Global Dexie Instance ---
-export const db = new Dexie('UPSCProDB');
+const db = new Dexie('UPSCProDB');
 
-// --- Global FlexSearch Index Instance ---
+// --- Global FlexSearch Index Instances ---
 let questionSearchIndex = null;
+let noteSearchIndex = null;
 
-// --- Database Schema Definition ---
-db.version(1).stores({
-    questions: 'id, subject, topic, *keywords', 
-    quizResults: '++id, timestamp, subject', 
-    settings: 'key', 
-    notes: '++id, title, timestamp' // Added schema for notes
+// --- Database Schema & Migrations ---
+// Append-only: never edit a shipped step. A new step lists only the tables it adds or
+// re-indexes, plus an optional upgrade(tx) that rewrites existing rows; Dexie runs every
+// step newer than the user's stored version, in order, inside one upgrade transaction.
+const MIGRATIONS = [
+    {
+        version: 1,
+        stores: {
+            questions: 'id, subject, topic, *keywords', 
+            quizResults: '++id, timestamp, subject', 
+            settings: 'key', 
+            notes: '++id, title, timestamp' // Added schema for notes
+        },
+    },
+    // v2: Spaced-repetition state per question (SM-2 ease / interval / due date)
+    { version: 2, stores: { reviewQueue: 'questionId, due' } },
+    // v3: Graded Mains answers (questionKey groups rewrites of the same question)
+    { version: 3, stores: { mainsAnswers: '++id, questionKey, timestamp' } },
+    // v4: AI-generated questions that failed validation, kept for inspection instead of silently dropped
+    { version: 4, stores: { quarantine: '++id, timestamp, feature' } },
+    // v5: Aditya chat thread per question ({ questionId, messages: [{ role, content, mode, at }], updatedAt })
+    { version: 5, stores: { adityaChats: 'questionId, updatedAt' } },
+    // v6: AI jobs waiting for connectivity ({ type, label, payload, status, attempts, result, lastError, seen })
+    { version: 6, stores: { aiJobs: '++id, status, createdAt' } },
+    // v7: Installed content packs ({ id, title, version, checksum, questionIds, installedAt, counts })
+    { version: 7, stores: { contentPacks: 'id' } },
+    // v8: Numeric timestamps everywhere. Notes (written as ISO strings by page-notes.js, numbers by
+    // saveNote) sorted inconsistently; they also gain updatedAt and a backfilled source.
+    {
+        version: 8,
+        stores: { notes: '++id, title, timestamp, updatedAt' },
+        upgrade: async (tx) => {
+            await tx.table('notes').toCollection().modify((note, ref) => {
+                ref.value = normalizeNote(note);
+            });
+            await tx.table('quizResults').toCollection().modify(result => {
+                result.timestamp = toEpochMs(result.timestamp);
+            });
+        },
+    },
+    // v9: Notes carry tags (GS paper / subject) and links to question ids, both multi-entry indexed
+    {
+        version: 9,
+        stores: { notes: '++id, title, timestamp, updatedAt, *tags, *questionIds' },
+        upgrade: async (tx) => {
+            await tx.table('notes').toCollection().modify((note, ref) => {
+                ref.value = normalizeNote(note);
+            });
+        },
+    },
+    // v10: Source images/PDFs behind AI notes ({ noteId, blob, mimeType, name, createdAt }), kept for regeneration
+    { version: 10, stores: { noteImages: '++id, noteId' } },
+    // v11: Flashcards ({ front, back, deck, origin, sourceKey, questionId, noteId, createdAt } + SM-2 state, see schema.js)
+    { version: 11, stores: { flashcards: '++id, due, deck, sourceKey, noteId' } },
+];
+
+MIGRATIONS.forEach(({ version, stores, upgrade }) => {
+    const step = db.version(version).stores(stores);
+    if (upgrade) step.upgrade(upgrade);
 });
 
+// Thrown by repository writes when a record doesn't match its schema (see schema.js)
+export class RecordValidationError extends Error {
+    constructor(table, errors) {
+        super(`Invalid ${table} record: ${formatValidationErrors(errors)}`);
+        this.name = 'RecordValidationError';
+        this.table = table;
+        this.errors = errors;
+    }
+}
+
 // --- 1. Search Indexing Logic ---
 function setupFlexSearchIndex() {
     // Check if FlexSearch is loaded
@@ -26,50 +91,110 @@ function setupFlexSearchIndex() {
     questionSearchIndex = new FlexSearch.Document({
         document: {
             id: "id",
-            index: ["question_text", "explanation.summary", "keywords"],
-            store: ["id", "subject", "topic", "question_text", "statements", "options", "explanation", "keywords", "type"]
+            index: ["question_text", "explanation.summary", "keywords"]
+        },
+        tokenize: "forward"
+    });
+
+    noteSearchIndex = new FlexSearch.Document({
+        document: {
+            id: "id",
+            index: ["title", "content", "tags", "source"]
         },
         tokenize: "forward"
     });
 }
 
+// FlexSearch stores a flat copy; the full question is always re-read from Dexie
+function toSearchDocument(q) {
+    return {
+        id: q.id,
+        question_text: q.question_text || '',
+        'explanation.summary': q.explanation?.summary || '',
+        keywords: q.keywords || []
+    };
+}
+
 export async function populateSearchIndex() {
     if (!questionSearchIndex) setupFlexSearchIndex();
     if (!questionSearchIndex) return;
 
     try {
         const allQuestions = await db.questions.toArray(); 
-        allQuestions.forEach(q => {
-            questionSearchIndex.add({
-                id: q.id,
-                question_text: q.question_text || '',
-                'explanation.summary': q.explanation?.summary || '',
-                keywords: q.keywords || []
-            });
-        });
-        console.log(`[DB] Indexed ${allQuestions.length} questions for search.`);
+        allQuestions.forEach(q => questionSearchIndex.add(toSearchDocument(q)));
+
+        const allNotes = await db.notes.toArray();
+        allNotes.forEach(indexNote);
+        console.log(`[DB] Indexed ${allQuestions.length} questions and ${allNotes.length} notes for search.`);
     } catch (error) {
         console.error('SEARCH_INDEX_POPULATE_FAIL', error);
     }
 }
 
-export async function fullTextSearchQuestions(query) {
+function toNoteSearchDocument(note) {
+    return { id: note.id, title: note.title, content: note.content, tags: note.tags, source: note.source };
+}
+
+// FlexSearch's add() on an existing id doesn't replace it, so notes are always removed first
+function indexNote(note) {
+    if (!noteSearchIndex) return;
+    noteSearchIndex.remove(note.id);
+    noteSearchIndex.add(toNoteSearchDocument(note));
+}
+
+// Keeps the index in sync when questions are added after startup (AI remix, CA generator)
+function indexQuestions(questions) {
+    if (!questionSearchIndex) return;
+    questions.forEach(q => questionSearchIndex.add(toSearchDocument(q)));
+}
+
+function unindexQuestions(ids) {
+    if (!questionSearchIndex) return;
+    ids.forEach(id => questionSearchIndex.remove(id));
+}
+
+const SEARCH_CANDIDATE_LIMIT = 500; // Upper bound on raw hits before filtering & paging
+
+/**
+ * Full-text search with facet filters and paging.
+ * Returns { items, total, page, pageSize, facets: { subjects, topics, types } }.
+ */
+export async function fullTextSearchQuestions(query, { filters = {}, page = 0, pageSize = 10 } = {}) {
+    const empty = { items: [], total: 0, page, pageSize, facets: { subjects: [], topics: [], types: [] } };
     if (!questionSearchIndex) await populateSearchIndex();
-    if (!questionSearchIndex) return [];
+    if (!questionSearchIndex || !query) return empty;
     
     try {
-        const results = questionSearchIndex.search(query, { limit: 10, enrich: true });
-        let flatResults = [];
-        if (results.length > 0) {
-            const uniqueDocs = new Map();
-            results.forEach(fieldGroup => {
-                fieldGroup.result.forEach(doc => uniqueDocs.set(doc.id, doc.doc));
-            });
-            flatResults = Array.from(uniqueDocs.values());
-        }
-        return flatResults;
+        const results = questionSearchIndex.search(query, { limit: SEARCH_CANDIDATE_LIMIT });
+
+        // Merge per-field hits, keeping first-seen (best ranked) order
+        const orderedIds = [...new Set(results.flatMap(fieldGroup => fieldGroup.result))];
+        const hits = (await db.questions.bulkGet(orderedIds)).filter(Boolean);
+
+        const facets = {
+            subjects: [...new Set(hits.map(q => q.subject).filter(Boolean))].sort(),
+            topics: [...new Set(hits
+                .filter(q => !filters.subject || q.subject === filters.subject)
+                .map(q => q.topic).filter(Boolean))].sort(),
+            types: [...new Set(hits.map(q => q.type).filter(Boolean))].sort(),
+        };
+
+        const filtered = hits.filter(q =>
+            (!filters.subject || q.subject === filters.subject) &&
+            (!filters.topic || q.topic === filters.topic) &&
+            (!filters.type || q.type === filters.type)
+        );
+
+        return {
+            items: filtered.slice(page * pageSize, (page + 1) * pageSize),
+            total: filtered.length,
+            page,
+            pageSize,
+            facets,
+        };
     } catch (e) {
-        return [];
+        console.error('SEARCH_QUERY_FAIL', e);
+        return empty;
     }
 }
 
@@ -83,25 +208,346 @@ export async function getQuestions(subject, topic) {
 }
 
 export async function addQuestions(questions) {
-    return await db.questions.bulkPut(questions);
+    const result = await db.questions.bulkPut(questions);
+    indexQuestions(questions);
+    return result;
+}
+
+export async function getAllQuestions() {
+    return await db.questions.toArray();
+}
+
+export async function getAllQuestionIds() {
+    return await db.questions.toCollection().primaryKeys();
+}
+
+// Sorted subject -> topics map for pickers (export, filters)
+export async function getSubjectTopicMap() {
+    const map = {};
+    await db.questions.each(q => {
+        if (!q.subject) return;
+        map[q.subject] = map[q.subject] || new Set();
+        if (q.topic) map[q.subject].add(q.topic);
+    });
+    return Object.fromEntries(Object.keys(map).sort().map(subject => [subject, [...map[subject]].sort()]));
+}
+
+export async function getQuestionsByIds(ids) {
+    const questions = await db.questions.bulkGet(ids);
+    return questions.filter(Boolean); // Drop ids that were deleted from the bank
+}
+
+// Must run inside a transaction that includes questions, reviewQueue and adityaChats
+async function removeQuestionRows(ids) {
+    await db.questions.bulkDelete(ids);
+    await db.reviewQueue.bulkDelete(ids);
+    await db.adityaChats.bulkDelete(ids);
+}
+
+// Also drops their review schedule and Aditya chats (notes and flashcards keep their own copy of what matters)
+export async function deleteQuestions(ids) {
+    await db.transaction('rw', db.questions, db.reviewQueue, db.adityaChats, async () => {
+        await removeQuestionRows(ids);
+    });
+    unindexQuestions(ids);
 }
 
 export async function saveQuizResult(result) {
     return await db.quizResults.add(result);
 }
 
-// FIX 2: Added missing Note functions (needed for page-notes.js)
-export async function saveNote(note) {
-    note.timestamp = Date.now();
-    return await db.notes.put(note);
+export async function getQuizResults() {
+    return await db.quizResults.orderBy('timestamp').reverse().toArray();
+}
+
+export async function getQuizResult(id) {
+    return await db.quizResults.get(id);
+}
+
+// --- Review Queue (Spaced Repetition) ---
+export async function getReviewCards(questionIds) {
+    const cards = await db.reviewQueue.bulkGet(questionIds);
+    return cards.filter(Boolean);
+}
+
+export async function saveReviewCards(cards) {
+    return await db.reviewQueue.bulkPut(cards);
+}
+
+export async function getDueReviewCards(now = Date.now()) {
+    return await db.reviewQueue.where('due').belowOrEqual(now).toArray();
+}
+
+// --- Quarantine (rejected AI output) ---
+export async function quarantineQuestions(rejected, provenance = {}) {
+    const timestamp = Date.now();
+    return await db.quarantine.bulkAdd(rejected.map(r => ({
+        timestamp,
+        feature: provenance.feature || 'unknown',
+        model: provenance.model || null,
+        item: r.item,
+        errors: r.errors,
+    })));
+}
+
+export async function getQuarantinedQuestions() {
+    return await db.quarantine.orderBy('timestamp').reverse().toArray();
 }
 
+export async function deleteQuarantined(id) {
+    return await db.quarantine.delete(id);
+}
+
+export async function clearQuarantine() {
+    return await db.quarantine.clear();
+}
+
+// --- Mains Answers ---
+export async function saveMainsAnswer(attempt) {
+    return await db.mainsAnswers.add(attempt);
+}
+
+export async function getMainsAnswersForQuestion(questionKey) {
+    const attempts = await db.mainsAnswers.where({ questionKey }).toArray();
+    return attempts.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+export async function getMainsAnswer(id) {
+    return await db.mainsAnswers.get(id);
+}
+
+// --- Aditya Chats ---
+export async function getAdityaChat(questionId) {
+    return await db.adityaChats.get(questionId);
+}
+
+export async function saveAdityaChat(chat) {
+    chat.updatedAt = Date.now();
+    return await db.adityaChats.put(chat);
+}
+
+export async function deleteAdityaChat(questionId) {
+    return await db.adityaChats.delete(questionId);
+}
+
+// --- AI Job Queue ---
+export async function addAiJob(job) {
+    const now = Date.now();
+    return await db.aiJobs.add({ status: 'pending', attempts: 0, seen: false, ...job, createdAt: now, updatedAt: now });
+}
+
+export async function getAiJobs() {
+    return await db.aiJobs.orderBy('createdAt').reverse().toArray();
+}
+
+export async function getAiJobsByStatus(statuses) {
+    const jobs = await db.aiJobs.where('status').anyOf(statuses).toArray();
+    return jobs.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+export async function getAiJob(id) {
+    return await db.aiJobs.get(id);
+}
+
+export async function updateAiJob(id, changes) {
+    return await db.aiJobs.update(id, { ...changes, updatedAt: Date.now() });
+}
+
+export async function deleteAiJob(id) {
+    return await db.aiJobs.delete(id);
+}
+
+// --- Notes ---
+// Newest first (by creation time)
 export async function getNotes() {
     return await db.notes.orderBy('timestamp').reverse().toArray();
 }
 
+export async function getNote(id) {
+    return await db.notes.get(id);
+}
+
+export async function getNotesForQuestion(questionId) {
+    const notes = await db.notes.where('questionIds').equals(questionId).toArray();
+    return notes.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+// Every tag in use, for suggestions
+export async function getNoteTags() {
+    const tags = await db.notes.orderBy('tags').uniqueKeys();
+    return tags.sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Creates a note (no id) or updates an existing one, keeping its creation time. A renamed note's
+ * flashcards move to the new deck name with it. Throws RecordValidationError if the result doesn't
+ * match NOTE_SCHEMA. Returns the id.
+ */
+export async function saveNote(note) {
+    const now = Date.now();
+    const existing = note.id ? await db.notes.get(note.id) : null;
+    const record = normalizeNote({ ...existing, ...note, timestamp: existing?.timestamp ?? now, updatedAt: now }, now);
+
+    const { valid, errors } = validateNote(record);
+    if (!valid) throw new RecordValidationError('notes', errors);
+    const id = await db.transaction('rw', db.notes, db.flashcards, async () => {
+        const savedId = await db.notes.put(record);
+        if (existing && existing.title !== record.title) {
+            await db.flashcards.where({ noteId: savedId }).modify({ deck: record.title });
+        }
+        return savedId;
+    });
+    indexNote({ ...record, id });
+    return id;
+}
+
 export async function deleteNote(id) {
-    return await db.notes.delete(id);
+    await db.transaction('rw', db.notes, db.noteImages, db.flashcards, async () => {
+        await db.notes.delete(id);
+        await db.noteImages.where({ noteId: id }).delete();
+        await db.flashcards.where({ noteId: id }).delete();
+    });
+    noteSearchIndex?.remove(id);
+}
+
+// --- Note Images ---
+export async function getNoteImages(noteId) {
+    return await db.noteImages.where({ noteId }).sortBy('id');
+}
+
+// images: [{ blob, mimeType, name }]
+export async function addNoteImages(noteId, images) {
+    const createdAt = Date.now();
+    return await db.noteImages.bulkAdd(images.map(({ blob, mimeType, name }) => ({ noteId, blob, mimeType, name, createdAt })), { allKeys: true });
+}
+
+export async function deleteNoteImages(ids) {
+    return await db.noteImages.bulkDelete(ids);
+}
+
+// First image per note, for list thumbnails: Map(noteId -> image)
+export async function getNoteThumbnails(noteIds) {
+    const images = await db.noteImages.where('noteId').anyOf(noteIds).toArray();
+    const thumbnails = new Map();
+    images
+        .filter(img => img.mimeType.startsWith('image/'))
+        .sort((a, b) => a.id - b.id)
+        .forEach(img => { if (!thumbnails.has(img.noteId)) thumbnails.set(img.noteId, img); });
+    return thumbnails;
+}
+
+export const NOTE_SORTS = {
+    relevance: 'Best match',
+    newest: 'Newest first',
+    oldest: 'Oldest first',
+    updated: 'Recently edited',
+    title: 'Title A–Z',
+};
+
+const NOTE_COMPARATORS = {
+    newest: (a, b) => b.timestamp - a.timestamp,
+    oldest: (a, b) => a.timestamp - b.timestamp,
+    updated: (a, b) => b.updatedAt - a.updatedAt,
+    title: (a, b) => a.title.localeCompare(b.title),
+};
+
+/**
+ * Notes search with filters. query matches title, content, tags and source (FlexSearch);
+ * without one every note is a candidate. from/to: epoch ms bounds on the creation time.
+ * sort: a NOTE_SORTS key ('relevance' keeps the index ranking; without a query it means newest).
+ * Returns { items, total, facets: { sources, tags } } (facets are over the query's hits, before filters).
+ */
+export async function searchNotes({ query = '', source = '', tag = '', from = null, to = null, sort = 'relevance', limit = Infinity } = {}) {
+    if (!noteSearchIndex) await populateSearchIndex();
+
+    let candidates;
+    if (query && noteSearchIndex) {
+        const results = noteSearchIndex.search(query, { limit: SEARCH_CANDIDATE_LIMIT });
+        const orderedIds = [...new Set(results.flatMap(fieldGroup => fieldGroup.result))];
+        candidates = (await db.notes.bulkGet(orderedIds)).filter(Boolean);
+    } else if (query) {
+        // No FlexSearch: plain substring match keeps the search bar usable
+        const needle = query.toLowerCase();
+        candidates = (await db.notes.toArray()).filter(n =>
+            [n.title, n.content, n.source, ...n.tags].some(field => field.toLowerCase().includes(needle)));
+    } else {
+        candidates = await db.notes.toArray();
+    }
+
+    const facets = {
+        sources: [...new Set(candidates.map(n => n.source))].sort(),
+        tags: [...new Set(candidates.flatMap(n => n.tags))].sort((a, b) => a.localeCompare(b)),
+    };
+
+    const filtered = candidates.filter(n =>
+        (!source || n.source === source) &&
+        (!tag || n.tags.includes(tag)) &&
+        (from === null || n.timestamp >= from) &&
+        (to === null || n.timestamp <= to)
+    );
+
+    const comparator = NOTE_COMPARATORS[sort] || (query ? null : NOTE_COMPARATORS.newest);
+    if (comparator) filtered.sort(comparator);
+
+    return { items: filtered.slice(0, limit), total: filtered.length, facets };
+}
+
+// --- Flashcards ---
+export async function getFlashcards(deck = null) {
+    const cards = deck ? await db.flashcards.where({ deck }).toArray() : await db.flashcards.toArray();
+    return cards.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Most overdue first
+export async function getDueFlashcards(now = Date.now(), deck = null) {
+    const due = await db.flashcards.where('due').belowOrEqual(now).sortBy('due');
+    return deck ? due.filter(card => card.deck === deck) : due;
+}
+
+// [{ deck, total, due }], for the deck list
+export async function getFlashcardDecks(now = Date.now()) {
+    const decks = new Map();
+    await db.flashcards.each(card => {
+        const entry = decks.get(card.deck) || { deck: card.deck, total: 0, due: 0 };
+        entry.total++;
+        if (card.due <= now) entry.due++;
+        decks.set(card.deck, entry);
+    });
+    return [...decks.values()].sort((a, b) => b.due - a.due || a.deck.localeCompare(b.deck));
+}
+
+/**
+ * Adds new cards, skipping any whose sourceKey is already stored (re-deriving from the same
+ * question or note is harmless). Throws RecordValidationError on an invalid card.
+ * Returns { added, skipped }.
+ */
+export async function addFlashcards(cards) {
+    const now = Date.now();
+    const records = cards.map(card => normalizeFlashcard({ ...card, createdAt: now }, now));
+    records.forEach(record => {
+        const { valid, errors } = validateFlashcard(record);
+        if (!valid) throw new RecordValidationError('flashcards', errors);
+    });
+
+    return await db.transaction('rw', db.flashcards, async () => {
+        const keys = records.map(r => r.sourceKey).filter(Boolean);
+        const existing = new Set((await db.flashcards.where('sourceKey').anyOf(keys).toArray()).map(c => c.sourceKey));
+        const fresh = records.filter(r => !r.sourceKey || !existing.has(r.sourceKey));
+        await db.flashcards.bulkAdd(fresh);
+        return { added: fresh.length, skipped: records.length - fresh.length };
+    });
+}
+
+// Saves an edited or just-reviewed card (must already have an id)
+export async function saveFlashcard(card) {
+    const record = normalizeFlashcard(card);
+    const { valid, errors } = validateFlashcard(record);
+    if (!valid) throw new RecordValidationError('flashcards', errors);
+    return await db.flashcards.put(record);
+}
+
+export async function deleteFlashcard(id) {
+    return await db.flashcards.delete(id);
 }
 
 // --- 3. Settings Logic ---
@@ -117,21 +563,265 @@ export async function setSetting(key, value) {
     return await db.settings.put({ key, value });
 }
 
-// --- 4. Initialization & Bootstrap ---
+// --- 4. Content Packs ---
 
-async function initializeDatabase() {
-    try {
-        const count = await db.questions.count();
-        if (count === 0) {
-            console.log("[DB] Database empty. Bootstrapping initial data...");
-            const questions = await fetchInitialQuestions(); 
-            if (questions && questions.length > 0) {
-                await db.questions.bulkPut(questions);
-                console.log(`[DB] Bootstrapped ${questions.length} questions.`);
+export async function getInstalledPacks() {
+    return await db.contentPacks.toArray();
+}
+
+async function applyPackUpdate(pack, questions) {
+    const installed = await db.contentPacks.get(pack.id);
+    const candidateIds = [...new Set([...questions.map(q => q.id), ...(installed?.questionIds || [])])];
+    const existing = (await db.questions.bulkGet(candidateIds)).filter(Boolean);
+    const existingById = new Map(existing.map(q => [String(q.id), q]));
+
+    const plan = planPackUpdate(pack.id, questions, installed, existingById, {
+        adoptLegacy: pack.url === APP_CONFIG.DEFAULT_DATA_SOURCE,
+    });
+
+    await db.transaction('rw', db.questions, db.reviewQueue, db.adityaChats, db.contentPacks, async () => {
+        await db.questions.bulkPut(plan.toPut);
+        await removeQuestionRows(plan.toDelete);
+        await db.contentPacks.put({
+            id: pack.id,
+            title: pack.title || pack.id,
+            version: pack.version,
+            checksum: pack.checksum,
+            questionIds: plan.ownedIds,
+            installedAt: Date.now(),
+            counts: plan.counts,
+        });
+    });
+
+    unindexQuestions(plan.toDelete);
+    unindexQuestions(plan.toPut.map(q => q.id));
+    indexQuestions(plan.toPut);
+    return plan.counts;
+}
+
+async function retirePack(packId) {
+    const installed = await db.contentPacks.get(packId);
+    if (!installed) return;
+    const owned = (await db.questions.bulkGet(installed.questionIds)).filter(q => q?.pack === packId);
+
+    await db.transaction('rw', db.questions, db.reviewQueue, db.adityaChats, db.contentPacks, async () => {
+        await removeQuestionRows(owned.map(q => q.id));
+        await db.contentPacks.delete(packId);
+    });
+    unindexQuestions(owned.map(q => q.id));
+}
+
+/**
+ * Brings shipped packs up to date: installs new ones, applies additions/edits/retirements
+ * for new versions, removes retired packs. User-generated questions are never touched.
+ * Returns [{ id, version, status: 'installed' | 'updated' | 'current' | 'retired' | 'failed', counts?, error? }].
+ */
+export async function syncContentPacks() {
+    const manifest = await fetchContentManifest();
+    const installedById = new Map((await getInstalledPacks()).map(p => [p.id, p]));
+    const outcomes = [];
+
+    for (const pack of manifest.packs) {
+        const installed = installedById.get(pack.id);
+        try {
+            if (pack.retired) {
+                if (installed) {
+                    await retirePack(pack.id);
+                    outcomes.push({ id: pack.id, version: pack.version, status: 'retired' });
+                }
+                continue;
             }
+            if (installed && installed.version === pack.version && installed.checksum === pack.checksum) {
+                outcomes.push({ id: pack.id, version: pack.version, status: 'current' });
+                continue;
+            }
+
+            const questions = await fetchContentPack(pack);
+            const counts = await applyPackUpdate(pack, questions);
+            outcomes.push({ id: pack.id, version: pack.version, status: installed ? 'updated' : 'installed', counts });
+            console.log(`[DB] Pack "${pack.id}" v${pack.version}:`, counts);
+        } catch (error) {
+            // Keep the previous version; the next launch tries again
+            console.error('DB_PACK_SYNC_FAIL', pack.id, error);
+            outcomes.push({ id: pack.id, version: pack.version, status: 'failed', error: error.message });
+        }
+    }
+    return outcomes;
+}
+
+// --- 5. Backup & Restore ---
+// Settings that describe this device rather than the user's data
+const DEVICE_LOCAL_SETTINGS = [APP_CONFIG.BACKUP_REMINDER_KEY, APP_CONFIG.AI_MODEL_CACHE_KEY];
+
+function stripApiKeys(row) {
+    if (row.key === APP_CONFIG.GEMINI_API_KEY_NAME) return null;
+    if (row.key === APP_CONFIG.AI_PROVIDER_CONFIG_KEY && row.value?.openai) {
+        return { ...row, value: { ...row.value, openai: { ...row.value.openai, apiKey: '' } } };
+    }
+    return row;
+}
+
+export function getSchemaVersion() {
+    return MIGRATIONS[MIGRATIONS.length - 1].version;
+}
+
+// JSON has no Blobs: top-level Blob fields travel as { __blob: base64, type }
+async function encodeBlobs(row) {
+    const entries = await Promise.all(Object.entries(row).map(async ([key, value]) => [
+        key,
+        value instanceof Blob ? { __blob: await blobToBase64(value), type: value.type } : value,
+    ]));
+    return Object.fromEntries(entries);
+}
+
+function decodeBlobs(row) {
+    return Object.fromEntries(Object.entries(row).map(([key, value]) => [
+        key,
+        value && typeof value.__blob === 'string' ? base64ToBlob(value.__blob, value.type) : value,
+    ]));
+}
+
+/**
+ * Every table in one object, ready for JSON.stringify.
+ * includeSecrets: false drops the Gemini key and blanks the OpenAI-compatible key.
+ */
+export async function exportDatabase({ includeSecrets = false } = {}) {
+    const tables = {};
+    for (const table of db.tables) {
+        let rows = await table.toArray();
+        if (table.name === 'settings') {
+            rows = rows.filter(row => !DEVICE_LOCAL_SETTINGS.includes(row.key));
+            if (!includeSecrets) rows = rows.map(stripApiKeys).filter(Boolean);
         }
+        tables[table.name] = await Promise.all(rows.map(encodeBlobs));
+    }
+    return {
+        format: BACKUP_FORMAT,
+        formatVersion: BACKUP_FORMAT_VERSION,
+        schemaVersion: getSchemaVersion(),
+        exportedAt: Date.now(),
+        includesSecrets: includeSecrets,
+        tables,
+    };
+}
+
+// Older backups go through the same normalisation as the v8 migration; invalid rows are dropped
+function prepareRestoreRows(tableName, rows) {
+    const normalize = {
+        notes: normalizeNote,
+        flashcards: normalizeFlashcard,
+        quizResults: row => ({ ...row, timestamp: toEpochMs(row.timestamp) }),
+    }[tableName];
+    const validate = { questions: validateQuestion, notes: validateNote, flashcards: validateFlashcard }[tableName];
+
+    const prepared = normalize ? rows.map(row => normalize(row)) : rows;
+    const valid = validate ? prepared.filter(row => validate(row).valid) : prepared;
+    return { rows: valid, invalid: prepared.length - valid.length };
+}
+
+// Never restores device-local settings; without secrets in the file, keeps this device's API keys
+function prepareSettingsRows(rows, localByKey, includesSecrets) {
+    return rows
+        .filter(row => !DEVICE_LOCAL_SETTINGS.includes(row.key))
+        .map(row => {
+            if (includesSecrets) return row;
+            const local = localByKey.get(row.key);
+            if (row.key === APP_CONFIG.AI_PROVIDER_CONFIG_KEY && local?.value?.openai?.apiKey) {
+                return { ...row, value: { ...row.value, openai: { ...row.value?.openai, apiKey: local.value.openai.apiKey } } };
+            }
+            return row;
+        });
+}
+
+// Rows that point at a note. Notes restore first, so a note copied under a new id takes its
+// images and flashcards along instead of leaving them on an unrelated local note with the old id.
+const NOTE_REFERENCING_TABLES = ['noteImages', 'flashcards'];
+
+// noteIdMap: backup note id -> the id it was copied under
+function remapNoteReferences(tableName, rows, noteIdMap) {
+    if (noteIdMap.size === 0 || !NOTE_REFERENCING_TABLES.includes(tableName)) return rows;
+    return rows.map(row => {
+        if (!noteIdMap.has(row.noteId)) return row;
+        const noteId = noteIdMap.get(row.noteId);
+        const remapped = { ...row, noteId };
+        if (typeof row.sourceKey === 'string') remapped.sourceKey = row.sourceKey.replace(/^note:[^:]+:/, `note:${noteId}:`);
+        return remapped;
+    });
+}
+
+/**
+ * Restores a parsed backup (see parseBackup in schema.js).
+ * mode 'replace': each table in the backup is cleared first (API keys and device settings survive
+ * unless the backup carries its own). mode 'merge': see planTableRestore (schema.js); `strategy` only
+ * decides conflicts in tables with natural keys (questions, settings, review queue...).
+ * Returns { tables: { [name]: { added, updated, copied, skipped, invalid } }, ignored: [unknown table names] }.
+ */
+export async function restoreDatabase(backup, { mode = 'merge', strategy = 'skip' } = {}) {
+    const known = new Set(db.tables.map(t => t.name));
+    const ignored = Object.keys(backup.tables).filter(name => !known.has(name));
+    const report = {};
+
+    const localSettings = await db.settings.toArray();
+    const localByKey = new Map(localSettings.map(row => [row.key, row]));
+    const keptOnReplace = localSettings.filter(row =>
+        DEVICE_LOCAL_SETTINGS.includes(row.key) || (!backup.includesSecrets && stripApiKeys(row) !== row));
+
+    const noteIdMap = new Map(); // See remapNoteReferences()
+    const entries = Object.entries(backup.tables).sort(([a], [b]) => (b === 'notes') - (a === 'notes'));
+
+    await db.transaction('rw', db.tables, async () => {
+        for (const [name, backupRows] of entries) {
+            if (!known.has(name)) continue;
+            const table = db.table(name);
+            let { rows, invalid } = prepareRestoreRows(name, backupRows.map(decodeBlobs));
+            if (name === 'settings') rows = prepareSettingsRows(rows, localByKey, backup.includesSecrets);
+            rows = remapNoteReferences(name, rows, noteIdMap);
+
+            if (mode === 'replace') {
+                await table.clear();
+                await table.bulkPut(rows);
+                if (name === 'settings') await table.bulkPut(keptOnReplace.filter(row => !rows.some(r => r.key === row.key)));
+                report[name] = { added: rows.length, updated: 0, copied: 0, skipped: 0, invalid };
+                continue;
+            }
+
+            const { keyPath, auto } = table.schema.primKey;
+            const existingRows = await table.toArray();
+            const { toPut, counts, copiedFrom } = planTableRestore(rows, existingRows, { keyPath, autoIncrement: auto }, strategy);
+            const newKeys = await table.bulkPut(toPut, { allKeys: true });
+            if (name === 'notes') copiedFrom.forEach((index, oldKey) => noteIdMap.set(oldKey, newKeys[index]));
+            report[name] = { ...counts, invalid };
+        }
+    });
+
+    // Questions and notes changed underneath the indexes: rebuild them
+    questionSearchIndex = null;
+    noteSearchIndex = null;
+    await populateSearchIndex();
+
+    console.log(`[DB] Restored backup from ${new Date(backup.exportedAt).toISOString()} (${mode}).`, report);
+    return { tables: report, ignored };
+}
+
+// --- 6. Initialization & Bootstrap ---
+
+async function initializeDatabase() {
+    try {
+        await syncContentPacks();
     } catch (error) {
-        console.error('DB_BOOTSTRAP_FAIL', error);
+        // No manifest (e.g. first launch offline without a cached copy)
+        console.error('DB_PACK_MANIFEST_FAIL', error);
+    }
+
+    // Still empty (no manifest, or every pack failed its download/checksum): fall back to the plain bootstrap
+    const count = await db.questions.count();
+    if (count === 0) {
+        console.log("[DB] Database empty. Bootstrapping initial data...");
+        const questions = await fetchInitialQuestions();
+        if (questions && questions.length > 0) {
+            await db.questions.bulkPut(questions);
+            console.log(`[DB] Bootstrapped ${questions.length} questions.`);
+        }
     }
 }
 
@@ -0,0 +1,193 @@
+// page-backup.js - Full Backup & Restore (every table in one JSON file) + Backup Reminder
+
+import { exportDatabase, restoreDatabase, getSchemaVersion, getSetting, setSetting } from './db.js';
+import { parseBackup } from './schema.js';
+import { APP_CONFIG, logError } from './core.js';
+import { showModal, escapeHtml, downloadFile } from './ui-common.js';
+
+// --- DOM Elements (Must match index.html IDs) ---
+const lastBackupLabel = document.getElementById('backup-last-label');
+const includeSecretsCheckbox = document.getElementById('backup-include-secrets');
+const exportButton = document.getElementById('backup-export-btn');
+const restoreFileInput = document.getElementById('backup-restore-file');
+const restoreModeSelect = document.getElementById('backup-restore-mode');
+const conflictWrapper = document.getElementById('backup-conflict-wrapper');
+const conflictStrategySelect = document.getElementById('backup-conflict-strategy');
+const restoreButton = document.getElementById('backup-restore-btn');
+const restoreReport = document.getElementById('backup-restore-report');
+const reminderIntervalSelect = document.getElementById('backup-reminder-interval');
+const reminderBanner = document.getElementById('backup-reminder');
+const reminderText = document.getElementById('backup-reminder-text');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SNOOZE_MS = DAY_MS;
+
+const TABLE_LABELS = {
+    questions: 'Questions',
+    quizResults: 'Quiz history',
+    notes: 'Notes',
+    settings: 'Settings',
+    reviewQueue: 'Review schedule',
+    mainsAnswers: 'Mains answers',
+    quarantine: 'Quarantine',
+    adityaChats: 'Aditya chats',
+    aiJobs: 'Queued AI jobs',
+    contentPacks: 'Content packs',
+    noteImages: 'Note images',
+    flashcards: 'Flashcards',
+};
+
+// { intervalDays, lastBackupAt, snoozedUntil }
+async function getReminderState() {
+    return { intervalDays: 0, lastBackupAt: null, snoozedUntil: 0, ...(await getSetting(APP_CONFIG.BACKUP_REMINDER_KEY)) };
+}
+
+async function updateReminderState(changes) {
+    const state = { ...(await getReminderState()), ...changes };
+    await setSetting(APP_CONFIG.BACKUP_REMINDER_KEY, state);
+    return state;
+}
+
+// --- 1. Modal Entry Point ---
+export async function openBackup() {
+    showModal('backup-content');
+    restoreReport.classList.add('hidden');
+    try {
+        const state = await getReminderState();
+        reminderIntervalSelect.value = String(state.intervalDays);
+        renderLastBackup(state);
+    } catch (error) {
+        logError('BACKUP_STATE_LOAD_FAIL', error);
+    }
+}
+
+function renderLastBackup(state) {
+    lastBackupLabel.textContent = state.lastBackupAt
+        ? `Last backup: ${new Date(state.lastBackupAt).toLocaleString()}`
+        : "No backup made on this device yet.";
+}
+
+// --- 2. Back Up ---
+async function handleExport() {
+    exportButton.disabled = true;
+    exportButton.textContent = "Preparing...";
+    try {
+        const backup = await exportDatabase({ includeSecrets: includeSecretsCheckbox.checked });
+        const fileName = `upsc-pro-backup-${new Date().toISOString().slice(0, 10)}.json`;
+        downloadFile(JSON.stringify(backup), fileName, 'application/json');
+
+        const state = await updateReminderState({ lastBackupAt: backup.exportedAt, snoozedUntil: 0 });
+        renderLastBackup(state);
+        reminderBanner?.classList.add('hidden');
+    } catch (error) {
+        logError('BACKUP_EXPORT_FAIL', error);
+        alert(`Backup failed: ${error.message}`);
+    } finally {
+        exportButton.disabled = false;
+        exportButton.textContent = "Download Backup";
+    }
+}
+
+// --- 3. Restore ---
+function renderRestoreReport(backup, { tables, ignored }) {
+    restoreReport.innerHTML = `
+        <p class="text-sm font-semibold mb-2">Backup from ${new Date(backup.exportedAt).toLocaleString()}</p>
+        <table class="w-full text-[11px] mb-2">
+            <thead class="text-gray-400 text-left">
+                <tr><th class="p-1">Data</th><th class="p-1">Added</th><th class="p-1">Updated</th><th class="p-1">Copied</th><th class="p-1">Kept mine</th><th class="p-1">Invalid</th></tr>
+            </thead>
+            <tbody>
+                ${Object.entries(tables).map(([name, c]) => `
+                    <tr class="border-t border-white/5">
+                        <td class="p-1">${escapeHtml(TABLE_LABELS[name] || name)}</td>
+                        <td class="p-1 text-green-400">${c.added}</td>
+                        <td class="p-1 text-blue-400">${c.updated}</td>
+                        <td class="p-1 text-indigo-300">${c.copied}</td>
+                        <td class="p-1 text-gray-400">${c.skipped}</td>
+                        <td class="p-1 ${c.invalid ? 'text-red-400' : 'text-gray-500'}">${c.invalid}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${ignored.length ? `<p class="text-[11px] text-gray-400 mb-2">Not restored (unknown to this version): ${ignored.map(escapeHtml).join(', ')}</p>` : ''}
+        ${backup.includesSecrets ? '' : '<p class="text-[11px] text-gray-400 mb-2">This backup has no API keys; the ones on this device were kept.</p>'}
+        <button onclick="window.location.reload()" class="w-full py-2 bg-indigo-600 hover:bg-indigo-500 rounded-xl text-sm font-bold">Reload to see restored data</button>
+    `;
+    restoreReport.classList.remove('hidden');
+}
+
+async function handleRestore() {
+    const file = restoreFileInput.files[0];
+    if (!file) {
+        alert("Choose a backup file first.");
+        return;
+    }
+    const mode = restoreModeSelect.value;
+    if (mode === 'replace' && !confirm("Replace your current data with this backup? Anything not in the backup will be lost.")) return;
+
+    restoreButton.disabled = true;
+    restoreButton.textContent = "Restoring...";
+    try {
+        const backup = parseBackup(await file.text(), getSchemaVersion());
+        const result = await restoreDatabase(backup, { mode, strategy: conflictStrategySelect.value });
+        renderRestoreReport(backup, result);
+    } catch (error) {
+        logError('BACKUP_RESTORE_FAIL', error, { file: file.name, mode });
+        restoreReport.innerHTML = `<p class="text-red-400 text-sm">Restore failed: ${escapeHtml(error.message)}</p>`;
+        restoreReport.classList.remove('hidden');
+    } finally {
+        restoreButton.disabled = false;
+        restoreButton.textContent = "Restore";
+    }
+}
+
+// --- 4. Reminder ---
+async function checkBackupReminder() {
+    if (!reminderBanner) return;
+    try {
+        const state = await getReminderState();
+        if (!state.intervalDays) return;
+
+        const now = Date.now();
+        const due = (state.lastBackupAt || 0) + state.intervalDays * DAY_MS;
+        if (now < due || now < state.snoozedUntil) return;
+
+        reminderText.textContent = state.lastBackupAt
+            ? `💾 Last backup was ${Math.floor((now - state.lastBackupAt) / DAY_MS)} days ago`
+            : "💾 You haven't backed up your notes and history yet";
+        reminderBanner.classList.remove('hidden');
+    } catch (error) {
+        logError('BACKUP_REMINDER_FAIL', error);
+    }
+}
+
+// --- 5. Event Wiring ---
+exportButton?.addEventListener('click', handleExport);
+restoreButton?.addEventListener('click', handleRestore);
+
+restoreModeSelect?.addEventListener('change', () => {
+    conflictWrapper.classList.toggle('hidden', restoreModeSelect.value === 'replace');
+});
+
+reminderIntervalSelect?.addEventListener('change', async () => {
+    try {
+        await updateReminderState({ intervalDays: parseInt(reminderIntervalSelect.value), snoozedUntil: 0 });
+    } catch (error) {
+        logError('BACKUP_REMINDER_SAVE_FAIL', error);
+    }
+});
+
+document.getElementById('backup-reminder-later-btn')?.addEventListener('click', async () => {
+    reminderBanner.classList.add('hidden');
+    await updateReminderState({ snoozedUntil: Date.now() + SNOOZE_MS });
+});
+
+document.getElementById('backup-reminder-now-btn')?.addEventListener('click', () => {
+    reminderBanner.classList.add('hidden');
+    openBackup();
+});
+
+document.addEventListener('DOMContentLoaded', checkBackupReminder);
+
+// Export for global usage (HTML onclicks)
+window.openBackup = openBackup;
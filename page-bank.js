@@ -0,0 +1,248 @@
+// page-bank.js - Question Bank: Content Packs, Import / Export (JSON & CSV packs with per-row validation report)
+
+import { addQuestions, getAllQuestions, getQuestions, getAllQuestionIds, getSubjectTopicMap, getQuarantinedQuestions, deleteQuarantined, clearQuarantine, getInstalledPacks, syncContentPacks } from './db.js';
+import { parseQuestionPack, serializeQuestionPack, planImport, formatValidationErrors } from './schema.js';
+import { logError } from './core.js';
+import { showModal, escapeHtml, downloadFile } from './ui-common.js';
+
+// --- DOM Elements (Must match index.html IDs) ---
+const importFileInput = document.getElementById('bank-import-file');
+const mergeStrategySelect = document.getElementById('bank-merge-strategy');
+const importButton = document.getElementById('bank-import-btn');
+const importReport = document.getElementById('bank-import-report');
+const exportSubjectSelect = document.getElementById('bank-export-subject');
+const exportTopicSelect = document.getElementById('bank-export-topic');
+const exportFormatSelect = document.getElementById('bank-export-format');
+const exportButton = document.getElementById('bank-export-btn');
+const quarantineList = document.getElementById('bank-quarantine-list');
+const packsList = document.getElementById('bank-packs-list');
+const packsCheckButton = document.getElementById('bank-packs-check-btn');
+
+let subjectTopicMap = {};
+
+const STATUS_STYLES = {
+    added: 'text-green-400',
+    updated: 'text-blue-400',
+    copied: 'text-indigo-300',
+    skipped: 'text-gray-400',
+    invalid: 'text-red-400',
+};
+
+// --- 1. Modal Entry Point ---
+export async function openQuestionBank() {
+    showModal('question-bank-content');
+    await Promise.all([renderInstalledPacks(), refreshExportPickers(), renderQuarantine()]);
+}
+
+async function refreshExportPickers() {
+    try {
+        subjectTopicMap = await getSubjectTopicMap();
+        exportSubjectSelect.innerHTML = `
+            <option value="">Whole bank</option>
+            ${Object.keys(subjectTopicMap).map(s => `<option value="${escapeHtml(s)}">${escapeHtml(s)}</option>`).join('')}
+        `;
+        refreshTopicPicker();
+    } catch (error) {
+        logError('BANK_PICKER_FAIL', error);
+    }
+}
+
+function refreshTopicPicker() {
+    const topics = subjectTopicMap[exportSubjectSelect.value] || [];
+    exportTopicSelect.disabled = topics.length === 0;
+    exportTopicSelect.innerHTML = `
+        <option value="">All topics</option>
+        ${topics.map(t => `<option value="${escapeHtml(t)}">${escapeHtml(t)}</option>`).join('')}
+    `;
+}
+
+// --- 2. Content Packs (shipped question sets, updated in place on launch) ---
+const SYNC_STATUS_LABELS = {
+    installed: 'installed',
+    updated: 'updated',
+    current: 'up to date',
+    retired: 'removed',
+    failed: 'update failed',
+};
+
+async function renderInstalledPacks(outcomes = []) {
+    if (!packsList) return;
+    try {
+        const packs = await getInstalledPacks();
+        const failures = outcomes.filter(o => o.status === 'failed');
+        packsList.innerHTML = `
+            ${packs.length === 0
+                ? '<p class="text-xs text-gray-500 italic">No content packs installed yet.</p>'
+                : `<ul class="space-y-2">
+                    ${packs.map(pack => {
+                        const outcome = outcomes.find(o => o.id === pack.id);
+                        return `
+                            <li class="flex justify-between items-center gap-2 p-3 bg-white/5 rounded-xl">
+                                <div class="min-w-0">
+                                    <p class="text-sm font-semibold truncate">${escapeHtml(pack.title)}</p>
+                                    <p class="text-[10px] text-gray-400">${pack.questionIds.length} questions • installed ${new Date(pack.installedAt).toLocaleDateString()}</p>
+                                </div>
+                                <div class="text-right flex-shrink-0">
+                                    <span class="text-xs font-bold text-indigo-300">v${pack.version}</span>
+                                    ${outcome ? `<span class="block text-[10px] text-gray-400">${SYNC_STATUS_LABELS[outcome.status]}</span>` : ''}
+                                </div>
+                            </li>
+                        `;
+                    }).join('')}
+                </ul>`}
+            ${failures.map(f => `<p class="text-[11px] text-red-300 mt-2">${escapeHtml(f.id)}: ${escapeHtml(f.error)}</p>`).join('')}
+        `;
+    } catch (error) {
+        logError('BANK_PACKS_RENDER_FAIL', error);
+    }
+}
+
+async function handleCheckForUpdates() {
+    packsCheckButton.disabled = true;
+    packsCheckButton.textContent = "Checking...";
+    try {
+        const outcomes = await syncContentPacks();
+        await Promise.all([renderInstalledPacks(outcomes), refreshExportPickers()]);
+    } catch (error) {
+        logError('BANK_PACKS_SYNC_FAIL', error);
+        packsList.insertAdjacentHTML('beforeend', `<p class="text-[11px] text-red-300 mt-2">Could not reach the content manifest: ${escapeHtml(error.message)}</p>`);
+    } finally {
+        packsCheckButton.disabled = false;
+        packsCheckButton.textContent = "Check for updates";
+    }
+}
+
+// --- 3. Import ---
+function renderImportReport(fileName, report) {
+    const counts = report.reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), {});
+    const problems = report.filter(r => r.status !== 'added');
+
+    importReport.innerHTML = `
+        <p class="text-sm font-semibold mb-2">${escapeHtml(fileName)}: ${report.length} row${report.length === 1 ? '' : 's'}</p>
+        <div class="flex flex-wrap gap-3 text-xs mb-3">
+            ${Object.entries(counts).map(([status, n]) => `<span class="${STATUS_STYLES[status]}">${n} ${status}</span>`).join('')}
+        </div>
+        ${problems.length ? `
+            <div class="max-h-48 overflow-y-auto bg-black/20 rounded-lg">
+                <table class="w-full text-[11px]">
+                    <thead class="text-gray-400 text-left">
+                        <tr><th class="p-2">Row</th><th class="p-2">Id</th><th class="p-2">Status</th><th class="p-2">Details</th></tr>
+                    </thead>
+                    <tbody>
+                        ${problems.map(r => `
+                            <tr class="border-t border-white/5 align-top">
+                                <td class="p-2">${r.row}</td>
+                                <td class="p-2">${escapeHtml(r.id ?? '—')}</td>
+                                <td class="p-2 font-bold ${STATUS_STYLES[r.status]}">${r.status}</td>
+                                <td class="p-2 text-gray-300">${escapeHtml(r.message)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        ` : ''}
+    `;
+    importReport.classList.remove('hidden');
+}
+
+async function handleImport() {
+    const file = importFileInput.files[0];
+    if (!file) {
+        alert("Choose a .json or .csv question pack first.");
+        return;
+    }
+
+    importButton.disabled = true;
+    importButton.textContent = "Importing...";
+
+    try {
+        const format = file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'json';
+        const entries = parseQuestionPack(await file.text(), format);
+        const existingIds = new Set(await getAllQuestionIds());
+
+        const { toWrite, report } = planImport(entries, existingIds, mergeStrategySelect.value);
+        if (toWrite.length > 0) await addQuestions(toWrite);
+
+        renderImportReport(file.name, report);
+        await refreshExportPickers();
+        console.log(`[Bank] Imported ${toWrite.length}/${entries.length} questions from ${file.name}.`);
+    } catch (error) {
+        logError('BANK_IMPORT_FAIL', error, { file: file.name });
+        importReport.innerHTML = `<p class="text-red-400 text-sm">Import failed: ${escapeHtml(error.message)}</p>`;
+        importReport.classList.remove('hidden');
+    } finally {
+        importButton.disabled = false;
+        importButton.textContent = "Import Pack";
+    }
+}
+
+// --- 4. Export ---
+async function handleExport() {
+    const subject = exportSubjectSelect.value;
+    const topic = exportTopicSelect.value;
+    const format = exportFormatSelect.value;
+
+    try {
+        const questions = subject ? await getQuestions(subject, topic) : await getAllQuestions();
+        if (questions.length === 0) {
+            alert("Nothing to export for this selection.");
+            return;
+        }
+
+        const slug = [subject || 'all', topic].filter(Boolean).join('-').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+        const fileName = `upsc-pack-${slug}-${new Date().toISOString().slice(0, 10)}.${format}`;
+        downloadFile(serializeQuestionPack(questions, format), fileName, format === 'csv' ? 'text/csv' : 'application/json');
+    } catch (error) {
+        logError('BANK_EXPORT_FAIL', error, { subject, topic, format });
+        alert(`Export failed: ${error.message}`);
+    }
+}
+
+// --- 5. Quarantine (AI output that failed validation) ---
+async function renderQuarantine() {
+    if (!quarantineList) return;
+    try {
+        const items = await getQuarantinedQuestions();
+        quarantineList.innerHTML = items.length === 0
+            ? '<p class="text-xs text-gray-500 italic">Nothing quarantined. All AI output passed validation.</p>'
+            : `
+                <ul class="space-y-2 mb-3">
+                    ${items.map(entry => `
+                        <li class="p-3 bg-red-500/5 border border-red-500/20 rounded-xl">
+                            <div class="flex justify-between items-start gap-2">
+                                <p class="text-[10px] text-gray-400">${escapeHtml(entry.feature)} • ${escapeHtml(entry.model || 'unknown model')} • ${new Date(entry.timestamp).toLocaleString()}</p>
+                                <button data-quarantine-id="${entry.id}" class="text-[10px] text-red-400 hover:underline flex-shrink-0">Discard</button>
+                            </div>
+                            <p class="text-xs text-gray-200 my-1">${escapeHtml(entry.item?.question_text || entry.item?.question || JSON.stringify(entry.item).slice(0, 120))}</p>
+                            <p class="text-[11px] text-red-300">${escapeHtml(formatValidationErrors(entry.errors))}</p>
+                        </li>
+                    `).join('')}
+                </ul>
+                <button data-action="clear-quarantine" class="text-xs text-red-400 hover:underline">Discard all (${items.length})</button>
+            `;
+    } catch (error) {
+        logError('BANK_QUARANTINE_RENDER_FAIL', error);
+    }
+}
+
+// --- 6. Event Wiring ---
+packsCheckButton?.addEventListener('click', handleCheckForUpdates);
+importButton?.addEventListener('click', handleImport);
+exportButton?.addEventListener('click', handleExport);
+exportSubjectSelect?.addEventListener('change', refreshTopicPicker);
+
+quarantineList?.addEventListener('click', async (e) => {
+    const discardBtn = e.target.closest('button[data-quarantine-id]');
+    if (discardBtn) {
+        await deleteQuarantined(parseInt(discardBtn.dataset.quarantineId));
+        await renderQuarantine();
+        return;
+    }
+    if (e.target.closest('button[data-action="clear-quarantine"]') && confirm("Discard all quarantined questions?")) {
+        await clearQuarantine();
+        await renderQuarantine();
+    }
+});
+
+// Export for global usage (HTML onclicks)
+window.openQuestionBank = openQuestionBank;
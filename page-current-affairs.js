@@ -0,0 +1,200 @@
+// page-current-affairs.js - Current Affairs Archive (generated days by date & GS slot, re-attempts, compilations)
+
+import { startNewQuiz } from './page-quiz.js';
+import { getQuestions, getQuizResults, deleteQuestions } from './db.js';
+import { CURRENT_AFFAIRS_SUBJECT, CURRENT_AFFAIRS_SLOTS, currentAffairsTopic, currentAffairsSlotOf, groupCurrentAffairsDays, compileCurrentAffairs, logError } from './core.js';
+import { showModal, hideModal, escapeHtml } from './ui-common.js';
+
+const archiveContent = document.getElementById('ca-archive-content');
+
+const COMPILATIONS = [
+    { days: 7, label: 'Last 7 days' },
+    { days: 30, label: 'Last 30 days' },
+];
+
+const SLOTS_BY_ID = Object.fromEntries(CURRENT_AFFAIRS_SLOTS.map(slot => [slot.id, slot]));
+
+// Slot id the archive is narrowed to ('' = all); applies to counts, re-attempts and compilations
+let slotFilter = '';
+let dayGroups = [];
+
+function filterBySlot(questions) {
+    return slotFilter ? questions.filter(q => currentAffairsSlotOf(q) === slotFilter) : questions;
+}
+
+function quizTopic(label) {
+    return slotFilter ? `${label} · ${SLOTS_BY_ID[slotFilter].label}` : label;
+}
+
+// --- 1. Generator Card (today's state) ---
+// Once today's set exists the main button re-opens it; a fresh set needs the explicit "anyway" button
+export async function refreshCurrentAffairsCard() {
+    const generateBtn = document.getElementById('generate-ca-btn');
+    const forceBtn = document.getElementById('generate-ca-force-btn');
+    if (!generateBtn || generateBtn.disabled) return;
+    try {
+        const today = await getQuestions(CURRENT_AFFAIRS_SUBJECT, currentAffairsTopic());
+        generateBtn.innerHTML = today.length
+            ? `<span>▶</span> Attempt Today's Quiz (${today.length})`
+            : `<span>🔄</span> Generate Today's Quiz`;
+        forceBtn?.classList.toggle('hidden', today.length === 0);
+    } catch (error) {
+        logError('CA_CARD_STATE_FAIL', error);
+    }
+}
+
+// --- 2. Archive Rendering ---
+function renderSlotChips(slots) {
+    return slots.map(id => SLOTS_BY_ID[id]
+        ? `<span class="px-1.5 py-0.5 bg-emerald-500/10 text-emerald-300 text-[9px] rounded">${escapeHtml(SLOTS_BY_ID[id].label)}</span>`
+        : '').join('');
+}
+
+function renderDay(day, lastResult) {
+    const questions = filterBySlot(day.questions);
+    const date = new Date(day.date).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
+    return `
+        <li class="p-3 bg-white/5 rounded-xl">
+            <div class="flex justify-between items-start gap-2">
+                <div class="min-w-0">
+                    <p class="text-sm font-semibold">${escapeHtml(date)} <span class="text-[10px] text-gray-400 font-normal">• ${questions.length} Q</span></p>
+                    <div class="flex flex-wrap gap-1 mt-1">${renderSlotChips(day.slots)}</div>
+                    <p class="text-[10px] text-gray-400 mt-1">${lastResult ? `Last attempt: ${lastResult.correctCount}/${lastResult.totalQuestions} correct` : 'Not attempted yet'}</p>
+                </div>
+                <div class="flex flex-col items-end gap-1 text-xs flex-shrink-0">
+                    <button data-ca-action="attempt" data-topic="${escapeHtml(day.topic)}" class="text-indigo-300 hover:underline">${lastResult ? 'Re-attempt' : 'Attempt'}</button>
+                    <button data-ca-action="delete" data-topic="${escapeHtml(day.topic)}" class="text-gray-500 hover:text-red-400">Delete</button>
+                </div>
+            </div>
+        </li>
+    `;
+}
+
+function renderMonth(monthLabel, days, lastResults) {
+    const count = days.reduce((sum, d) => sum + filterBySlot(d.questions).length, 0);
+    return `
+        <section class="mb-4">
+            <div class="flex justify-between items-center mb-2">
+                <h4 class="text-sm font-semibold text-indigo-300 uppercase tracking-wider">${escapeHtml(monthLabel)}</h4>
+                <button data-ca-action="compile-month" data-month="${escapeHtml(monthLabel)}" class="text-xs text-indigo-300 hover:underline">Quiz the month (${count})</button>
+            </div>
+            <ul class="space-y-2">${days.map(d => renderDay(d, lastResults.get(d.topic))).join('')}</ul>
+        </section>
+    `;
+}
+
+function monthOf(day) {
+    return new Date(day.date).toLocaleDateString('en-IN', { month: 'long', year: 'numeric' });
+}
+
+async function renderArchive() {
+    try {
+        const [questions, results] = await Promise.all([getQuestions(CURRENT_AFFAIRS_SUBJECT), getQuizResults()]);
+        dayGroups = groupCurrentAffairsDays(questions);
+
+        // Newest attempt per day
+        const lastResults = new Map();
+        results
+            .filter(r => r.subject === CURRENT_AFFAIRS_SUBJECT)
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .forEach(r => lastResults.set(r.topic, r));
+
+        const visibleDays = dayGroups.filter(d => filterBySlot(d.questions).length > 0);
+        const months = new Map();
+        visibleDays.forEach(day => months.set(monthOf(day), [...(months.get(monthOf(day)) || []), day]));
+
+        archiveContent.innerHTML = `
+            <h3 class="text-xl font-bold mb-1">🗂 Current Affairs Archive</h3>
+            <p class="text-xs text-gray-400 mb-4">${dayGroups.length} day${dayGroups.length === 1 ? '' : 's'} generated • ${questions.length} questions</p>
+
+            <div class="flex flex-wrap gap-2 mb-4">
+                <button data-ca-action="filter" data-slot="" class="px-3 py-1 rounded-full text-xs ${slotFilter === '' ? 'bg-indigo-600' : 'bg-white/10 hover:bg-white/20'}">All</button>
+                ${CURRENT_AFFAIRS_SLOTS.map(slot => `
+                    <button data-ca-action="filter" data-slot="${slot.id}" class="px-3 py-1 rounded-full text-xs ${slotFilter === slot.id ? 'bg-indigo-600' : 'bg-white/10 hover:bg-white/20'}">
+                        ${escapeHtml(slot.label)} <span class="text-[9px] opacity-70">${slot.paper}</span>
+                    </button>
+                `).join('')}
+            </div>
+
+            <div class="grid grid-cols-2 gap-2 mb-5">
+                ${COMPILATIONS.map(c => {
+                    const count = filterBySlot(compileCurrentAffairs(dayGroups, c.days)).length;
+                    return `<button data-ca-action="compile" data-days="${c.days}" ${count ? '' : 'disabled'} class="py-2 bg-white/10 hover:bg-white/20 disabled:opacity-40 rounded-xl text-xs font-bold">${c.label} (${count})</button>`;
+                }).join('')}
+            </div>
+
+            ${visibleDays.length
+                ? [...months.entries()].map(([label, days]) => renderMonth(label, days, lastResults)).join('')
+                : `<p class="text-sm text-gray-500 italic mb-4">${dayGroups.length ? 'No questions in this slot yet.' : "Nothing generated yet. Use ⚡ Daily Current Affairs to make today's quiz."}</p>`}
+
+            <button onclick="hideModal()" class="w-full mt-2 text-gray-400 text-sm">Close</button>
+        `;
+    } catch (error) {
+        logError('CA_ARCHIVE_RENDER_FAIL', error);
+        archiveContent.innerHTML = '<p class="text-red-500">Could not load the archive due to a database error.</p>';
+    }
+}
+
+export async function openCurrentAffairsArchive() {
+    showModal('ca-archive-content');
+    await renderArchive();
+}
+
+// --- 3. Actions ---
+function startArchiveQuiz(label, questions) {
+    if (questions.length === 0) return;
+    hideModal();
+    startNewQuiz(CURRENT_AFFAIRS_SUBJECT, quizTopic(label), { questions });
+}
+
+async function handleDeleteDay(topic) {
+    const day = dayGroups.find(d => d.topic === topic);
+    if (!day) return;
+    if (!confirm(`Delete all ${day.questions.length} questions generated on ${topic}? Your quiz history keeps its scores.`)) return;
+
+    try {
+        await deleteQuestions(day.questions.map(q => q.id));
+    } catch (error) {
+        logError('CA_DAY_DELETE_FAIL', error, { topic });
+        alert("Could not delete this day due to a database error.");
+    }
+    await renderArchive();
+    await refreshCurrentAffairsCard();
+}
+
+// --- 4. Event Wiring ---
+archiveContent?.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-ca-action]');
+    if (!btn) return;
+
+    switch (btn.dataset.caAction) {
+        case 'filter':
+            slotFilter = btn.dataset.slot;
+            await renderArchive();
+            break;
+        case 'attempt': {
+            const day = dayGroups.find(d => d.topic === btn.dataset.topic);
+            // Unfiltered re-attempts keep the day's topic, so "Last attempt" picks them up
+            if (day) startArchiveQuiz(day.topic, filterBySlot(day.questions));
+            break;
+        }
+        case 'compile': {
+            const compilation = COMPILATIONS.find(c => c.days === parseInt(btn.dataset.days));
+            startArchiveQuiz(compilation.label, filterBySlot(compileCurrentAffairs(dayGroups, compilation.days)));
+            break;
+        }
+        case 'compile-month': {
+            const days = dayGroups.filter(d => monthOf(d) === btn.dataset.month);
+            startArchiveQuiz(btn.dataset.month, filterBySlot(days.flatMap(d => d.questions)));
+            break;
+        }
+        case 'delete':
+            await handleDeleteDay(btn.dataset.topic);
+            break;
+    }
+});
+
+document.addEventListener('DOMContentLoaded', refreshCurrentAffairsCard);
+
+// Export for global usage (HTML onclicks)
+window.openCurrentAffairsArchive = openCurrentAffairsArchive;
@@ -0,0 +1,347 @@
+// page-flashcards.js - Flashcards (decks, flip & grade revision, manual / question / note-derived cards)
+
+import { getFlashcards, getDueFlashcards, getFlashcardDecks, addFlashcards, saveFlashcard, deleteFlashcard, getSubjectTopicMap, getQuestions, getNotes, getNote } from './db.js';
+import { flashcardsFromQuestion } from './schema.js';
+import { scheduleReview, logError } from './core.js';
+import { showModal, escapeHtml, renderMarkdown, describeAIError } from './ui-common.js';
+import { enqueueAiJob, registerAiJobType, shouldQueueAiJob } from './ai-queue.js';
+
+const flashcardsContent = document.getElementById('flashcards-content');
+const flashcardsBadge = document.getElementById('flashcards-badge');
+
+// A daily sitting stays short: the rest of the due pile waits for the next one
+const SESSION_SIZE = 20;
+
+// Flip-side buttons -> SM-2 recall quality (see core.js scheduleReview)
+const GRADES = [
+    { quality: 1, label: 'Again', style: 'bg-red-600/80 hover:bg-red-500' },
+    { quality: 3, label: 'Hard', style: 'bg-orange-600/80 hover:bg-orange-500' },
+    { quality: 4, label: 'Good', style: 'bg-indigo-600 hover:bg-indigo-500' },
+    { quality: 5, label: 'Easy', style: 'bg-emerald-600 hover:bg-emerald-500' },
+];
+
+// { cards, index, flipped, reviewed } while studying
+let session = null;
+
+function formatInterval(days) {
+    if (days < 30) return `${days}d`;
+    if (days < 365) return `${Math.round(days / 30)}mo`;
+    return `${Math.round(days / 365)}y`;
+}
+
+// --- 1. Header Badge ---
+export async function refreshFlashcardsBadge() {
+    if (!flashcardsBadge) return;
+    try {
+        const due = (await getDueFlashcards()).length;
+        flashcardsBadge.textContent = due > 99 ? '99+' : String(due);
+        flashcardsBadge.classList.toggle('hidden', due === 0);
+    } catch (error) {
+        logError('FLASHCARD_BADGE_FAIL', error);
+    }
+}
+
+// --- 2. Deck List ---
+async function renderDecks(message = '') {
+    session = null;
+    try {
+        const [decks, subjectMap, notes] = await Promise.all([getFlashcardDecks(), getSubjectTopicMap(), getNotes()]);
+        const dueTotal = decks.reduce((sum, d) => sum + d.due, 0);
+
+        flashcardsContent.innerHTML = `
+            <h3 class="text-xl font-bold mb-1">🃏 Flashcards</h3>
+            <p class="text-xs text-gray-400 mb-4">${dueTotal ? `${dueTotal} card${dueTotal === 1 ? '' : 's'} due today.` : 'Nothing due — come back tomorrow.'}</p>
+            ${message ? `<p class="text-xs text-indigo-300 mb-3">${escapeHtml(message)}</p>` : ''}
+            ${dueTotal ? `<button data-fc-action="study" class="w-full py-3 mb-4 bg-gradient-to-r from-indigo-600 to-purple-600 rounded-xl font-bold">Study ${Math.min(dueTotal, SESSION_SIZE)} due card${dueTotal === 1 ? '' : 's'}</button>` : ''}
+
+            ${decks.length ? `
+                <ul class="space-y-2 mb-5">
+                    ${decks.map(d => `
+                        <li class="flex justify-between items-center p-3 bg-white/5 rounded-xl">
+                            <div class="min-w-0">
+                                <p class="text-sm font-semibold truncate">${escapeHtml(d.deck)}</p>
+                                <p class="text-[10px] text-gray-400">${d.total} card${d.total === 1 ? '' : 's'} • <span class="${d.due ? 'text-yellow-400' : ''}">${d.due} due</span></p>
+                            </div>
+                            <div class="flex gap-3 text-xs flex-shrink-0">
+                                ${d.due ? `<button data-fc-action="study" data-deck="${escapeHtml(d.deck)}" class="text-indigo-300 hover:underline">Study</button>` : ''}
+                                <button data-fc-action="browse" data-deck="${escapeHtml(d.deck)}" class="text-gray-400 hover:underline">Cards</button>
+                            </div>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : '<p class="text-sm text-gray-500 italic mb-5">No cards yet. Add one below or make them from your questions and notes.</p>'}
+
+            <h4 class="text-sm font-semibold text-indigo-300 uppercase tracking-wider mb-2">Add a Card</h4>
+            <form id="flashcard-add-form" class="space-y-2 mb-5">
+                <textarea name="front" rows="2" required placeholder="Front: question or cue" class="w-full p-3 rounded-xl glass-input text-sm"></textarea>
+                <textarea name="back" rows="2" required placeholder="Back: answer" class="w-full p-3 rounded-xl glass-input text-sm"></textarea>
+                <input name="deck" list="flashcard-deck-list" placeholder="Deck (e.g. Polity)" class="w-full p-3 rounded-xl glass-input text-sm">
+                <datalist id="flashcard-deck-list">${decks.map(d => `<option value="${escapeHtml(d.deck)}">`).join('')}</datalist>
+                <button type="submit" class="w-full py-2 bg-white/10 hover:bg-white/20 rounded-xl text-sm font-bold">Add Card</button>
+            </form>
+
+            <h4 class="text-sm font-semibold text-indigo-300 uppercase tracking-wider mb-2">Make Cards From</h4>
+            <div class="flex gap-2 mb-2">
+                <select id="flashcard-subject-select" class="flex-1 min-w-0 p-2 rounded-xl glass-input text-sm">
+                    ${Object.keys(subjectMap).map(s => `<option value="${escapeHtml(s)}">${escapeHtml(s)}</option>`).join('')}
+                </select>
+                <button data-fc-action="from-questions" class="px-3 py-2 bg-white/10 hover:bg-white/20 rounded-xl text-xs font-bold whitespace-nowrap">Statements → T/F</button>
+            </div>
+            <div class="flex gap-2">
+                <select id="flashcard-note-select" class="flex-1 min-w-0 p-2 rounded-xl glass-input text-sm">
+                    ${notes.map(n => `<option value="${n.id}">${escapeHtml(n.title)}</option>`).join('')}
+                </select>
+                <button data-fc-action="from-note" ${notes.length ? '' : 'disabled'} class="px-3 py-2 bg-white/10 hover:bg-white/20 disabled:opacity-40 rounded-xl text-xs font-bold whitespace-nowrap">✨ From note</button>
+            </div>
+            <p id="flashcard-status" class="text-xs text-gray-400 mt-2"></p>
+
+            <button onclick="hideModal()" class="w-full mt-4 text-gray-400 text-sm">Close</button>
+        `;
+    } catch (error) {
+        logError('FLASHCARD_RENDER_FAIL', error);
+        flashcardsContent.innerHTML = '<p class="text-red-500">Could not load flashcards due to a database error.</p>';
+    }
+}
+
+export async function openFlashcards() {
+    showModal('flashcards-content');
+    await renderDecks();
+}
+
+// --- 3. Study Session ---
+async function startSession(deck = null) {
+    const due = await getDueFlashcards(Date.now(), deck);
+    if (due.length === 0) {
+        await renderDecks("Nothing due in this deck.");
+        return;
+    }
+    session = { cards: due.slice(0, SESSION_SIZE), index: 0, flipped: false, reviewed: 0 };
+    renderStudyCard();
+}
+
+function renderStudyCard() {
+    const card = session.cards[session.index];
+    if (!card) {
+        renderSessionSummary();
+        return;
+    }
+
+    const now = Date.now();
+    flashcardsContent.innerHTML = `
+        <div class="flex justify-between items-center text-xs text-gray-400 mb-3">
+            <span class="truncate">${escapeHtml(card.deck)}</span>
+            <span>${session.index + 1} / ${session.cards.length}</span>
+        </div>
+        <button data-fc-action="flip" class="w-full min-h-[12rem] p-5 mb-4 bg-white/5 hover:bg-white/10 rounded-2xl text-left transition">
+            <p class="text-base font-semibold whitespace-pre-line">${escapeHtml(card.front)}</p>
+            ${session.flipped
+                ? `<hr class="border-white/10 my-4"><div class="prose prose-invert prose-sm max-w-none">${renderMarkdown(card.back)}</div>`
+                : '<p class="text-[11px] text-gray-500 mt-6">Tap to show the answer</p>'}
+        </button>
+        ${session.flipped ? `
+            <div class="grid grid-cols-4 gap-2">
+                ${GRADES.map(g => `
+                    <button data-fc-action="grade" data-quality="${g.quality}" class="py-2 rounded-xl text-xs font-bold ${g.style}">
+                        ${g.label}
+                        <span class="block text-[10px] font-normal opacity-80">${formatInterval(scheduleReview(card, g.quality, now).interval)}</span>
+                    </button>
+                `).join('')}
+            </div>
+        ` : '<button data-fc-action="flip" class="w-full py-3 bg-indigo-600 hover:bg-indigo-500 rounded-xl font-bold">Show Answer</button>'}
+        <button data-fc-action="decks" class="w-full mt-4 text-gray-400 text-sm">End session</button>
+    `;
+}
+
+function renderSessionSummary() {
+    const reviewed = session.reviewed;
+    session = null;
+    flashcardsContent.innerHTML = `
+        <h3 class="text-xl font-bold mb-2 text-center">🎉 Done</h3>
+        <p class="text-sm text-gray-300 text-center mb-5">${reviewed} card${reviewed === 1 ? '' : 's'} reviewed.</p>
+        <button data-fc-action="decks" class="w-full py-3 bg-indigo-600 hover:bg-indigo-500 rounded-xl font-bold">Back to Decks</button>
+    `;
+}
+
+async function gradeCard(quality) {
+    const card = session.cards[session.index];
+    try {
+        await saveFlashcard(scheduleReview(card, quality));
+    } catch (error) {
+        logError('FLASHCARD_GRADE_FAIL', error, { cardId: card.id, quality });
+        alert("Could not save this review. Please try again.");
+        return;
+    }
+    session.reviewed++;
+    session.index++;
+    session.flipped = false;
+    renderStudyCard();
+    refreshFlashcardsBadge();
+}
+
+// --- 4. Browse & Delete ---
+async function renderDeckCards(deck) {
+    try {
+        const cards = await getFlashcards(deck);
+        flashcardsContent.innerHTML = `
+            <h3 class="text-lg font-bold mb-4 truncate">🃏 ${escapeHtml(deck)} <span class="text-xs text-gray-400 font-normal">(${cards.length})</span></h3>
+            <ul class="space-y-2 mb-4">
+                ${cards.map(c => `
+                    <li class="p-3 bg-white/5 rounded-xl">
+                        <div class="flex justify-between items-start gap-2">
+                            <p class="text-sm font-semibold whitespace-pre-line min-w-0">${escapeHtml(c.front)}</p>
+                            <button data-fc-action="delete" data-card-id="${c.id}" data-deck="${escapeHtml(deck)}" class="text-gray-500 hover:text-red-400 text-xs flex-shrink-0">Delete</button>
+                        </div>
+                        <p class="text-xs text-gray-400 mt-1 whitespace-pre-line">${escapeHtml(c.back)}</p>
+                        <p class="text-[10px] text-gray-500 mt-1">Due ${new Date(c.due).toLocaleDateString()}${c.lapses ? ` • ${c.lapses} lapse${c.lapses === 1 ? '' : 's'}` : ''}</p>
+                    </li>
+                `).join('')}
+            </ul>
+            <button data-fc-action="decks" class="w-full text-gray-400 text-sm">Back to Decks</button>
+        `;
+    } catch (error) {
+        logError('FLASHCARD_LIST_FAIL', error, { deck });
+    }
+}
+
+// --- 5. Making Cards ---
+async function handleAddCard(form) {
+    const data = new FormData(form);
+    try {
+        await addFlashcards([{ front: data.get('front'), back: data.get('back'), deck: data.get('deck'), origin: 'manual' }]);
+        await renderDecks("Card added.");
+        refreshFlashcardsBadge();
+    } catch (error) {
+        logError('FLASHCARD_ADD_FAIL', error);
+        alert(`Could not add the card: ${error.message}`);
+    }
+}
+
+async function handleFromQuestions() {
+    const subject = document.getElementById('flashcard-subject-select')?.value;
+    if (!subject) return;
+    try {
+        const questions = await getQuestions(subject);
+        const cards = questions.flatMap(flashcardsFromQuestion);
+        if (cards.length === 0) {
+            await renderDecks(`No statement-based questions in ${subject}.`);
+            return;
+        }
+        const { added, skipped } = await addFlashcards(cards);
+        await renderDecks(`${added} new card${added === 1 ? '' : 's'} from ${subject} statements${skipped ? ` (${skipped} already made)` : ''}.`);
+        refreshFlashcardsBadge();
+    } catch (error) {
+        logError('FLASHCARD_FROM_QUESTIONS_FAIL', error, { subject });
+        alert(`Could not make cards: ${error.message}`);
+    }
+}
+
+// Extracts and stores cards for one note (also run from the AI queue)
+async function makeNoteFlashcards(noteId) {
+    const note = await getNote(noteId);
+    if (!note) throw new Error("That note no longer exists.");
+
+    const aiModule = await import('./ai.js');
+    const extracted = await aiModule.generateFlashcardsFromNote(note);
+    // The deck is the note's title; saveNote() moves the cards along if the note is renamed
+    const cards = extracted.map(c => ({ ...c, deck: note.title, origin: 'note', noteId, sourceKey: `note:${noteId}:${c.front.toLowerCase()}` }));
+    const { added, skipped } = await addFlashcards(cards);
+    return { added, skipped, deck: note.title };
+}
+
+async function handleFromNote(button) {
+    const noteId = parseInt(document.getElementById('flashcard-note-select')?.value);
+    if (!noteId) return;
+    const status = document.getElementById('flashcard-status');
+
+    const queue = async () => {
+        await enqueueAiJob('note-flashcards', { noteId }, `Flashcards: ${document.getElementById('flashcard-note-select').selectedOptions[0]?.textContent || 'note'}`);
+        status.textContent = "📥 AI unreachable — the note is queued and its cards will appear when you're back online.";
+    };
+    if (!navigator.onLine) {
+        await queue();
+        return;
+    }
+
+    button.disabled = true;
+    status.textContent = "✨ Reading your note...";
+    try {
+        const { added, skipped, deck } = await makeNoteFlashcards(noteId);
+        await renderDecks(`${added} new card${added === 1 ? '' : 's'} in "${deck}"${skipped ? ` (${skipped} already made)` : ''}.`);
+        refreshFlashcardsBadge();
+    } catch (error) {
+        if (shouldQueueAiJob(error)) {
+            await queue();
+            return;
+        }
+        logError('FLASHCARD_FROM_NOTE_FAIL', error, { noteId, code: error.code });
+        status.textContent = `Could not make cards: ${describeAIError(error)}`;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// --- 6. Queued Extraction (see ai-queue.js) ---
+registerAiJobType('note-flashcards', {
+    run: async ({ noteId }) => {
+        const result = await makeNoteFlashcards(noteId);
+        refreshFlashcardsBadge();
+        return result;
+    },
+    open: async (job) => {
+        showModal('flashcards-content');
+        await renderDecks(`${job.result.added} new card${job.result.added === 1 ? '' : 's'} in "${job.result.deck}".`);
+    },
+});
+
+// --- 7. Event Wiring ---
+flashcardsContent?.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-fc-action]');
+    if (!btn) return;
+
+    switch (btn.dataset.fcAction) {
+        case 'study':
+            await startSession(btn.dataset.deck || null);
+            break;
+        case 'flip':
+            session.flipped = !session.flipped;
+            renderStudyCard();
+            break;
+        case 'grade':
+            await gradeCard(parseInt(btn.dataset.quality));
+            break;
+        case 'browse':
+            await renderDeckCards(btn.dataset.deck);
+            break;
+        case 'delete':
+            if (!confirm("Delete this card?")) return;
+            try {
+                await deleteFlashcard(parseInt(btn.dataset.cardId));
+                refreshFlashcardsBadge();
+            } catch (error) {
+                logError('FLASHCARD_DELETE_FAIL', error, { cardId: btn.dataset.cardId });
+            }
+            await renderDeckCards(btn.dataset.deck);
+            break;
+        case 'from-questions':
+            await handleFromQuestions();
+            break;
+        case 'from-note':
+            await handleFromNote(btn);
+            break;
+        case 'decks':
+            await renderDecks();
+            refreshFlashcardsBadge();
+            break;
+    }
+});
+
+flashcardsContent?.addEventListener('submit', (e) => {
+    if (e.target.id !== 'flashcard-add-form') return;
+    e.preventDefault();
+    handleAddCard(e.target);
+});
+
+document.addEventListener('DOMContentLoaded', refreshFlashcardsBadge);
+
+// Export for global usage (HTML onclicks)
+window.openFlashcards = openFlashcards;
@@ -0,0 +1,216 @@
+// page-grader.js - Mains Answer Grader (Rubric Scorecard + Saved Rewrites)
+
+import { saveMainsAnswer, getMainsAnswersForQuestion, getMainsAnswer } from './db.js';
+import { buildMainsScorecard, countWords, getMainsWordLimit, logError } from './core.js';
+import { showModal, escapeHtml, describeAIError } from './ui-common.js';
+import { enqueueAiJob, registerAiJobType, shouldQueueAiJob } from './ai-queue.js';
+
+// --- DOM Elements (Must match index.html IDs) ---
+const graderForm = document.getElementById('mains-grader-form');
+const questionInput = document.getElementById('grader-question');
+const modelKeyInput = document.getElementById('grader-model-key');
+const answerInput = document.getElementById('grader-user-answer');
+const maxMarksSelect = document.getElementById('grader-max-marks');
+const wordCountLabel = document.getElementById('grader-word-count');
+const gradeButton = document.getElementById('grade-answer-btn');
+const statusLine = document.getElementById('grader-status');
+const resultsDisplay = document.getElementById('grader-results-display');
+const scoreDisplay = document.getElementById('final-grader-score');
+const feedbackDisplay = document.getElementById('final-grader-feedback');
+const historyDisplay = document.getElementById('grader-history');
+
+// Rewrites of the same question are grouped by a whitespace/case-insensitive key
+function toQuestionKey(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// --- 1. Rendering ---
+function renderScorecard(attempt) {
+    const { scorecard } = attempt;
+
+    scoreDisplay.textContent = `${scorecard.score} / ${scorecard.maxMarks}`;
+    feedbackDisplay.innerHTML = `
+        <ul class="space-y-2 mb-4">
+            ${scorecard.breakdown.map(c => `
+                <li>
+                    <div class="flex justify-between text-xs mb-1">
+                        <span class="font-semibold text-gray-200">${c.label}</span>
+                        <span class="text-indigo-300">${c.score} / ${c.max}</span>
+                    </div>
+                    <div class="h-1.5 bg-white/10 rounded-full overflow-hidden">
+                        <div class="h-full bg-indigo-500" style="width: ${c.rating * 10}%"></div>
+                    </div>
+                    ${c.comment ? `<p class="text-[11px] text-gray-400 mt-1">${escapeHtml(c.comment)}</p>` : ''}
+                </li>
+            `).join('')}
+        </ul>
+        ${scorecard.feedback ? `<p class="mb-3">${escapeHtml(scorecard.feedback)}</p>` : ''}
+        ${scorecard.improvements.length ? `
+            <h4 class="text-xs font-bold text-orange-400 uppercase tracking-wider mb-1">Improve Next Time</h4>
+            <ul class="list-disc list-inside text-xs space-y-1">
+                ${scorecard.improvements.map(i => `<li>${escapeHtml(i)}</li>`).join('')}
+            </ul>
+        ` : ''}
+    `;
+    resultsDisplay.classList.remove('hidden');
+}
+
+async function renderAttemptHistory(questionKey, highlightId = null) {
+    if (!historyDisplay) return;
+
+    const attempts = await getMainsAnswersForQuestion(questionKey);
+    if (attempts.length < 2) {
+        historyDisplay.innerHTML = '';
+        return;
+    }
+
+    // attempts are newest first; compare each rewrite with the one before it
+    historyDisplay.innerHTML = `
+        <h4 class="text-sm font-semibold text-indigo-300 uppercase tracking-wider mb-2">Your Rewrites (${attempts.length})</h4>
+        <ul class="space-y-2">
+            ${attempts.map((a, i) => {
+                const previous = attempts[i + 1];
+                const delta = previous ? a.scorecard.score - previous.scorecard.score : null;
+                return `
+                    <li>
+                        <button type="button" data-attempt-id="${a.id}" class="w-full flex justify-between items-center p-3 rounded-xl text-left transition ${a.id === highlightId ? 'bg-indigo-500/20 border border-indigo-500/40' : 'bg-white/5 hover:bg-white/10'}">
+                            <div>
+                                <p class="text-xs font-semibold">Attempt ${attempts.length - i}</p>
+                                <p class="text-[10px] text-gray-400">${new Date(a.timestamp).toLocaleString()} • ${a.scorecard.wordCount} words</p>
+                            </div>
+                            <div class="text-right">
+                                <span class="font-bold text-emerald-400">${a.scorecard.score}/${a.scorecard.maxMarks}</span>
+                                ${delta !== null ? `<span class="block text-[10px] ${delta >= 0 ? 'text-green-400' : 'text-red-400'}">${delta >= 0 ? '▲' : '▼'} ${Math.abs(delta)}</span>` : ''}
+                            </div>
+                        </button>
+                    </li>
+                `;
+            }).join('')}
+        </ul>
+    `;
+}
+
+function updateWordCount() {
+    if (!wordCountLabel) return;
+    const words = countWords(answerInput.value);
+    const limit = getMainsWordLimit(parseInt(maxMarksSelect?.value || '10'));
+    wordCountLabel.textContent = `${words} / ~${limit} words`;
+    wordCountLabel.className = `text-xs ${words > limit * 1.1 ? 'text-red-400' : 'text-gray-400'}`;
+}
+
+// --- 2. Grading Flow ---
+
+// Grades and stores one attempt (also run from the AI queue)
+async function gradeAndSave({ question, modelKey, userAnswer, maxMarks }) {
+    const aiModule = await import('./ai.js');
+    const aiGrade = await aiModule.gradeMainsAnswer(question, userAnswer, modelKey, maxMarks);
+    const scorecard = buildMainsScorecard(aiGrade, userAnswer, maxMarks);
+
+    const attempt = {
+        questionKey: toQuestionKey(question),
+        question,
+        modelKey,
+        answer: userAnswer,
+        maxMarks,
+        scorecard,
+        timestamp: Date.now(),
+    };
+    attempt.id = await saveMainsAnswer(attempt);
+    return attempt;
+}
+
+async function queueGrading(job) {
+    await enqueueAiJob('mains-grade', job, `Mains Grader: ${job.question.slice(0, 40)}${job.question.length > 40 ? '…' : ''}`);
+    statusLine.textContent = "📥 Examiner unreachable — your answer is queued and will be graded when you're back online.";
+}
+
+async function handleGradeSubmit(e) {
+    e.preventDefault();
+
+    const question = questionInput.value.trim();
+    const modelKey = modelKeyInput.value.trim();
+    const userAnswer = answerInput.value.trim();
+    const maxMarks = parseInt(maxMarksSelect?.value || '10');
+
+    if (!question || !userAnswer) {
+        statusLine.textContent = "Question and your answer are both required.";
+        return;
+    }
+
+    const job = { question, modelKey, userAnswer, maxMarks };
+    if (!navigator.onLine) {
+        await queueGrading(job);
+        return;
+    }
+
+    gradeButton.disabled = true;
+    statusLine.textContent = "Examiner is reading your answer...";
+    resultsDisplay.classList.add('hidden');
+
+    try {
+        const attempt = await gradeAndSave(job);
+
+        renderScorecard(attempt);
+        await renderAttemptHistory(attempt.questionKey, attempt.id);
+        statusLine.textContent = "";
+    } catch (error) {
+        if (shouldQueueAiJob(error)) {
+            await queueGrading(job);
+            return;
+        }
+        logError('MAINS_GRADE_FAIL', error, { code: error.code, errors: error.errors, raw: error.raw });
+        statusLine.textContent = `Grading failed: ${describeAIError(error)}`;
+    } finally {
+        gradeButton.disabled = false;
+    }
+}
+
+// Re-open an older rewrite (its answer goes back into the editor for another pass)
+async function showSavedAttempt(id) {
+    try {
+        const attempt = await getMainsAnswer(id);
+        if (!attempt) return;
+        answerInput.value = attempt.answer;
+        if (maxMarksSelect) maxMarksSelect.value = String(attempt.maxMarks);
+        updateWordCount();
+        renderScorecard(attempt);
+        await renderAttemptHistory(attempt.questionKey, attempt.id);
+    } catch (error) {
+        logError('MAINS_ATTEMPT_LOAD_FAIL', error, { attemptId: id });
+    }
+}
+
+// --- 3. Queued Grading (see ai-queue.js) ---
+registerAiJobType('mains-grade', {
+    run: async (job) => {
+        const attempt = await gradeAndSave(job);
+        return { attemptId: attempt.id, score: attempt.scorecard.score, maxMarks: attempt.maxMarks };
+    },
+    open: async (job) => {
+        showModal('mains-grader-content');
+        questionInput.value = job.payload.question;
+        modelKeyInput.value = job.payload.modelKey;
+        statusLine.textContent = "";
+        await showSavedAttempt(job.result.attemptId);
+    },
+});
+
+// --- 4. Event Wiring ---
+if (graderForm) {
+    graderForm.addEventListener('submit', handleGradeSubmit);
+    answerInput.addEventListener('input', updateWordCount);
+    maxMarksSelect?.addEventListener('change', updateWordCount);
+
+    // Show earlier rewrites as soon as a known question is entered
+    questionInput.addEventListener('change', () => {
+        const question = questionInput.value.trim();
+        if (question) renderAttemptHistory(toQuestionKey(question));
+    });
+}
+
+if (historyDisplay) {
+    historyDisplay.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-attempt-id]');
+        if (btn) showSavedAttempt(parseInt(btn.dataset.attemptId));
+    });
+}
@@ -0,0 +1,171 @@
+// page-history.js - Performance History Dashboard (Trends, Best/Worst Topics & Attempt Drill-down)
+
+import { getQuizResults, getQuizResult } from './db.js';
+import { computePerformanceStats, logError } from './core.js';
+import { showModal, escapeHtml } from './ui-common.js';
+
+const historyContent = document.getElementById('history-content');
+
+// --- 1. Small Render Helpers ---
+function formatDuration(ms) {
+    const totalSeconds = Math.round((ms || 0) / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+}
+
+// Statement judgements are stored encoded ("S1:T"); show them the way the post-submit review does
+function formatSelections(selections) {
+    return (selections || [])
+        .map(sel => sel.replace(/^(.+):([TF])$/, (match, id, verdict) => `${id} ${verdict === 'T' ? 'True' : 'False'}`))
+        .join(', ');
+}
+
+function accuracyColor(accuracy) {
+    if (accuracy >= 70) return 'text-green-400';
+    if (accuracy >= 40) return 'text-orange-400';
+    return 'text-red-400';
+}
+
+// Tiny inline SVG line chart (no chart library on the page). compact: topic rows, no placeholder text
+function renderSparkline(trend, { compact = false } = {}) {
+    if (trend.length < 2) {
+        return compact ? '' : `<span class="text-[10px] text-gray-500 italic">Need 2+ attempts for a trend</span>`;
+    }
+    const width = 120;
+    const height = 30;
+    const step = width / (trend.length - 1);
+    const points = trend
+        .map((p, i) => `${Math.round(i * step)},${Math.round(height - (p.accuracy / 100) * height)}`)
+        .join(' ');
+    return `
+        <svg viewBox="0 0 ${width} ${height}" class="${compact ? 'w-full h-4 mt-0.5' : 'w-28 h-8'}" preserveAspectRatio="none">
+            <polyline points="${points}" fill="none" stroke="#818cf8" stroke-width="2" stroke-linejoin="round" />
+        </svg>
+    `;
+}
+
+function renderTopicRow(t) {
+    return `
+        <li class="text-sm py-1">
+            <div class="flex justify-between">
+                <span class="text-gray-300">${escapeHtml(t.subject)} • ${escapeHtml(t.topic)}</span>
+                <span class="font-bold ${accuracyColor(t.accuracy)}">${t.accuracy}% <span class="text-[10px] text-gray-500">(${t.attempted})</span></span>
+            </div>
+            ${renderSparkline(t.trend, { compact: true })}
+        </li>
+    `;
+}
+
+// --- 2. Dashboard View ---
+export async function openHistory() {
+    if (!historyContent) {
+        logError('HISTORY_UI_INIT_FAIL', new Error('History container not found.'));
+        return;
+    }
+
+    historyContent.innerHTML = `<p class="text-center animate-pulse py-6">Loading history...</p>`;
+    showModal('history-content');
+
+    try {
+        const attempts = await getQuizResults();
+
+        if (attempts.length === 0) {
+            historyContent.innerHTML = `
+                <h3 class="text-xl font-bold mb-4">📈 Performance History</h3>
+                <p class="text-gray-400 text-sm mb-6">No attempts yet. Finish a quiz and it will show up here.</p>
+                <button onclick="hideModal()" class="w-full mt-2 text-gray-400 text-sm">Close</button>
+            `;
+            return;
+        }
+
+        const stats = computePerformanceStats(attempts);
+
+        historyContent.innerHTML = `
+            <h3 class="text-xl font-bold mb-1">📈 Performance History</h3>
+            <p class="text-xs text-gray-400 mb-6">${stats.totalAttempts} attempts recorded</p>
+
+            <h4 class="text-sm font-semibold text-indigo-300 uppercase tracking-wider mb-2">By Subject</h4>
+            <div class="space-y-2 mb-6">
+                ${stats.subjects.map(s => `
+                    <div class="flex justify-between items-center p-3 bg-white/5 rounded-xl">
+                        <div>
+                            <p class="font-semibold">${escapeHtml(s.subject)}</p>
+                            <p class="text-[10px] text-gray-400">${s.correct}/${s.attempted} correct • avg ${formatDuration(s.timeSpentMs / s.attempted)} per Q</p>
+                        </div>
+                        <div class="flex items-center gap-3">
+                            ${renderSparkline(s.trend)}
+                            <span class="text-lg font-bold ${accuracyColor(s.accuracy)}">${s.accuracy}%</span>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+
+            <div class="grid grid-cols-2 gap-3 mb-6">
+                <div class="p-3 bg-green-500/10 border border-green-500/20 rounded-xl">
+                    <h4 class="text-xs font-bold text-green-400 mb-1">💪 Best Topics</h4>
+                    <ul>${stats.bestTopics.map(renderTopicRow).join('') || '<li class="text-[10px] text-gray-500">Not enough data yet</li>'}</ul>
+                </div>
+                <div class="p-3 bg-red-500/10 border border-red-500/20 rounded-xl">
+                    <h4 class="text-xs font-bold text-red-400 mb-1">🎯 Needs Work</h4>
+                    <ul>${stats.worstTopics.map(renderTopicRow).join('') || '<li class="text-[10px] text-gray-500">Not enough data yet</li>'}</ul>
+                </div>
+            </div>
+
+            <h4 class="text-sm font-semibold text-indigo-300 uppercase tracking-wider mb-2">Past Attempts</h4>
+            <ul class="space-y-2 mb-4">
+                ${attempts.map(a => `
+                    <li>
+                        <button onclick="openAttemptDetail(${a.id})" class="w-full flex justify-between items-center p-3 bg-white/5 hover:bg-white/10 rounded-xl transition text-left">
+                            <div>
+                                <p class="text-sm font-semibold">${a.mode === 'exam' ? '📝 ' : ''}${escapeHtml(a.subject)}${a.topic ? ` • ${escapeHtml(a.topic)}` : ''}</p>
+                                <p class="text-[10px] text-gray-400">${new Date(a.timestamp).toLocaleString()} • ${formatDuration(a.durationMs)}</p>
+                            </div>
+                            <span class="font-bold ${accuracyColor(a.accuracy ?? 0)}">${a.score}/${a.maxScore ?? a.totalQuestions}</span>
+                        </button>
+                    </li>
+                `).join('')}
+            </ul>
+
+            <button onclick="hideModal()" class="w-full mt-2 text-gray-400 text-sm">Close</button>
+        `;
+    } catch (error) {
+        logError('HISTORY_RENDER_FAIL', error);
+        historyContent.innerHTML = '<p class="text-red-500">Could not load history due to a database error.</p>';
+    }
+}
+
+// --- 3. Attempt Drill-down ---
+export async function openAttemptDetail(id) {
+    try {
+        const attempt = await getQuizResult(parseInt(id));
+        if (!attempt) return;
+
+        historyContent.innerHTML = `
+            <button onclick="openHistory()" class="text-xs text-indigo-300 hover:underline mb-3">← Back to History</button>
+            <h3 class="text-lg font-bold">${escapeHtml(attempt.subject)}${attempt.topic ? ` • ${escapeHtml(attempt.topic)}` : ''}</h3>
+            <p class="text-xs text-gray-400 mb-4">${new Date(attempt.timestamp).toLocaleString()} • Score ${attempt.score}/${attempt.maxScore ?? attempt.totalQuestions} • ${formatDuration(attempt.durationMs)}</p>
+
+            <ol class="space-y-3 mb-4">
+                ${(attempt.questions || []).map((q, i) => `
+                    <li class="p-3 rounded-xl border ${q.isCorrect ? 'border-green-500/30 bg-green-500/5' : 'border-red-500/30 bg-red-500/5'}">
+                        <p class="text-sm mb-2"><span class="font-bold text-gray-400">Q${i + 1}.</span> ${escapeHtml(q.questionText || 'Statement-based question')}</p>
+                        <div class="flex flex-wrap gap-x-4 text-[11px] text-gray-400">
+                            <span>Your answer: <b class="${q.isCorrect ? 'text-green-400' : 'text-red-400'}">${escapeHtml(formatSelections(q.userSelections) || '—')}</b></span>
+                            <span>Correct: <b class="text-green-400">${escapeHtml(formatSelections(q.correctOptions) || '—')}</b></span>
+                            <span>⏱ ${formatDuration(q.timeSpentMs)}</span>
+                        </div>
+                    </li>
+                `).join('')}
+            </ol>
+
+            <button onclick="hideModal()" class="w-full mt-2 text-gray-400 text-sm">Close</button>
+        `;
+    } catch (error) {
+        logError('HISTORY_DETAIL_FAIL', error, { attemptId: id });
+    }
+}
+
+// Export for global usage (HTML onclicks)
+window.openHistory = openHistory;
+window.openAttemptDetail = openAttemptDetail;
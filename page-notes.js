@@ -1,9 +1,11 @@
-// page-notes.js - Logic for managing user notes, including AI-generated content.
+// page-notes.js - Logic for managing user notes (markdown, tags, linked questions), including AI-generated content.
 
-import { db } from './db.js';
-import { getSafeThemeClasses, logError } from './core.js';
-import { showModal, hideModal } from './ui-common.js';
-import { generateNotesFromDiagram } from './ai.js'; 
+import { searchNotes, NOTE_SORTS, getNote, saveNote as storeNote, deleteNote as removeNote, getNotesForQuestion, getNoteTags, getSubjectTopicMap, getQuestionsByIds, getNoteImages, addNoteImages, deleteNoteImages, getNoteThumbnails } from './db.js';
+import { getSafeThemeClasses, logError, NOTE_TAG_PRESETS, blobToBase64, base64ToBlob } from './core.js';
+import { parseQuestionIdList } from './schema.js';
+import { showModal, hideModal, escapeHtml, highlightTerms, renderMarkdown, markdownExcerpt, downscaleImage, describeAIError } from './ui-common.js';
+import { generateNotesFromDiagram, DIAGRAM_PROMPT_PRESETS } from './ai.js'; 
+import { enqueueAiJob, registerAiJobType, shouldQueueAiJob } from './ai-queue.js';
 
 // --- DOM Elements (Must match index.html IDs) ---
 const notesListContainer = document.getElementById('notes-list-container');
@@ -12,25 +14,49 @@ const noteTitleInput = document.getElementById('note-title-input');
 const noteTextInput = document.getElementById('note-text-input');
 const diagramFileInput = document.getElementById('diagram-file-input');
 const saveNoteButton = document.getElementById('save-note-button');
+const noteEditorHeading = document.getElementById('note-editor-heading');
+const notePreview = document.getElementById('note-preview');
+const noteTagsInput = document.getElementById('note-tags-input');
+const noteTagSuggestions = document.getElementById('note-tag-suggestions');
+const noteQuestionIdsInput = document.getElementById('note-question-ids-input');
+const noteLinkedQuestions = document.getElementById('note-linked-questions');
+const questionNotesPanel = document.getElementById('question-notes-panel');
+const notesSearchInput = document.getElementById('notes-search-input');
+const notesSourceFilter = document.getElementById('notes-filter-source');
+const notesTagFilter = document.getElementById('notes-filter-tag');
+const notesSortSelect = document.getElementById('notes-sort');
+const notesFromInput = document.getElementById('notes-filter-from');
+const notesToInput = document.getElementById('notes-filter-to');
+const notesResultCount = document.getElementById('notes-result-count');
+const noteImagesStrip = document.getElementById('note-images');
+const diagramPresetSelect = document.getElementById('diagram-preset-select');
+const diagramGenerateButton = document.getElementById('diagram-generate-btn');
+
+const SEARCH_DEBOUNCE_MS = 250;
+
+let panelQuestionId = null; // Question whose notes are shown in the quiz view
+let previewFrame = null;
+let searchDebounceTimer = null;
+let listRequestSeq = 0; // Drops out-of-order results when typing fast
+let editorImages = [];    // [{ id?, blob, mimeType, name, url }] in the open editor; id = already stored
+let removedImageIds = []; // Stored images removed in the editor, deleted on save
+let listImageUrls = [];   // Thumbnail object URLs of the rendered notes list
 
 
 // --- 1. Core Data Operations ---
 
 /**
- * Saves a new note or updates an existing one in the database.
+ * Saves a new note or updates an existing one in the database, with its images.
  */
-async function saveNote(note) {
+async function saveNote(note, { addedImages = [], removedImageIds: removedIds = [] } = {}) {
     try {
-        if (note.id) {
-            await db.notes.update(parseInt(note.id), note);
-        } else {
-            note.timestamp = new Date().toISOString();
-            note.source = note.source || 'Manual Entry';
-            await db.notes.add(note);
-        }
-        await renderNotesList();
+        const id = await storeNote(note);
+        if (addedImages.length) await addNoteImages(id, addedImages);
+        if (removedIds.length) await deleteNoteImages(removedIds);
+        await refreshNoteViews();
     } catch (error) {
-        logError('NOTES_SAVE_FAIL', error, { noteId: note.id });
+        logError('NOTES_SAVE_FAIL', error, { noteId: note.id, errors: error.errors });
+        alert(`Could not save the note: ${error.message}`);
     }
 }
 
@@ -38,18 +64,44 @@ async function saveNote(note) {
  * Deletes a note by its ID.
  */
 async function deleteNote(id) {
-    if (confirm("Are you sure you want to delete this note? This action cannot be undone.")) {
+    if (confirm("Are you sure you want to delete this note? Its source images and flashcards go with it. This action cannot be undone.")) {
         try {
-            await db.notes.delete(parseInt(id));
-            await renderNotesList();
+            await removeNote(parseInt(id));
+            await refreshNoteViews();
         } catch (error) {
             logError('NOTES_DELETE_FAIL', error, { noteId: id });
         }
     }
 }
 
+// Date inputs give local 'YYYY-MM-DD'; the range covers both days in full
+function readNoteFilters() {
+    return {
+        query: notesSearchInput?.value.trim() || '',
+        source: notesSourceFilter?.value || '',
+        tag: notesTagFilter?.value || '',
+        from: notesFromInput?.value ? new Date(`${notesFromInput.value}T00:00:00`).getTime() : null,
+        to: notesToInput?.value ? new Date(`${notesToInput.value}T23:59:59.999`).getTime() : null,
+        sort: notesSortSelect?.value || 'relevance',
+    };
+}
+
+function fillFilterSelect(select, allLabel, values) {
+    if (!select) return;
+    const current = select.value;
+    const options = current && !values.includes(current) ? [current, ...values] : values;
+    select.innerHTML = `
+        <option value="">${allLabel}</option>
+        ${options.map(v => `<option value="${escapeHtml(v)}" ${v === current ? 'selected' : ''}>${escapeHtml(v)}</option>`).join('')}
+    `;
+}
+
+function hasActiveFilters(filters) {
+    return Boolean(filters.query || filters.source || filters.tag || filters.from !== null || filters.to !== null);
+}
+
 /**
- * Fetches all notes and renders them to the UI.
+ * Fetches the notes matching the search bar & filters and renders them to the UI.
  */
 export async function renderNotesList() {
     if (!notesListContainer) {
@@ -57,39 +109,105 @@ export async function renderNotesList() {
         return;
     }
     
+    const seq = ++listRequestSeq;
     try {
-        // Fetch notes sorted by timestamp (newest first)
-        const notes = await db.notes.orderBy('timestamp').reverse().toArray();
+        const filters = readNoteFilters();
+        const { items: notes, total, facets } = await searchNotes(filters);
+        const thumbnails = await getNoteThumbnails(notes.map(n => n.id));
+        if (seq !== listRequestSeq) return;
+
+        listImageUrls.forEach(url => URL.revokeObjectURL(url));
+        listImageUrls = [];
+        const thumbnailUrl = (noteId) => {
+            const image = thumbnails.get(noteId);
+            if (!image) return null;
+            const url = URL.createObjectURL(image.blob);
+            listImageUrls.push(url);
+            return url;
+        };
+
+        fillFilterSelect(notesSourceFilter, 'All sources', facets.sources);
+        fillFilterSelect(notesTagFilter, 'All tags', facets.tags);
+        if (notesResultCount) notesResultCount.textContent = hasActiveFilters(filters) ? `${total} matching note${total === 1 ? '' : 's'}` : '';
         
-        notesListContainer.innerHTML = notes.map(note => `
+        notesListContainer.innerHTML = notes.map(note => {
+            const thumbnail = thumbnailUrl(note.id);
+            return `
             <div class="note-item p-4 mb-3 ${getSafeThemeClasses('bg-rainbow-300')} rounded-lg shadow-md border border-white/50 dark:border-gray-600/50">
-                <h4 class="font-bold text-lg">${note.title}</h4>
-                <p class="text-xs text-gray-600 dark:text-gray-400">Source: ${note.source} | ${new Date(note.timestamp).toLocaleDateString()}</p>
-                <div class="mt-2 text-sm whitespace-pre-wrap">${note.content.substring(0, 150)}...</div>
+                ${thumbnail ? `<img src="${thumbnail}" alt="" class="float-right ml-3 w-16 h-16 object-cover rounded-lg">` : ''}
+                <h4 class="font-bold text-lg">${highlightTerms(note.title, filters.query)}</h4>
+                <p class="text-xs text-gray-600 dark:text-gray-400">Source: ${escapeHtml(note.source)} | ${new Date(note.timestamp).toLocaleDateString()}${note.questionIds.length ? ` | 🔗 ${note.questionIds.length} question${note.questionIds.length === 1 ? '' : 's'}` : ''}</p>
+                ${renderTagChips(note.tags)}
+                <p class="mt-2 text-sm">${highlightTerms(markdownExcerpt(note.content), filters.query)}</p>
                 <div class="mt-3 space-x-2">
                     <button onclick="window.editNote(${note.id})" class="text-primary hover:underline text-sm">View/Edit</button>
                     <button onclick="window.deleteNote(${note.id})" class="text-red-500 hover:underline text-sm">Delete</button>
                 </div>
             </div>
-        `).join('') || '<p class="text-gray-500">No notes saved yet. Add one or generate one from a diagram!</p>';
+        `;
+        }).join('') || (hasActiveFilters(filters)
+            ? '<p class="text-gray-500">No notes match this search.</p>'
+            : '<p class="text-gray-500">No notes saved yet. Add one or generate one from a diagram!</p>');
     } catch (error) {
         logError('NOTES_RENDER_FAIL', error);
         notesListContainer.innerHTML = '<p class="text-red-500">Could not load notes due to a database error.</p>';
     }
 }
 
+function renderTagChips(tags) {
+    if (!tags.length) return '';
+    return `
+        <div class="flex flex-wrap gap-1 mt-1">
+            ${tags.map(t => `<span class="px-2 py-0.5 rounded-full bg-indigo-500/20 text-indigo-200 text-[10px] font-semibold">${escapeHtml(t)}</span>`).join('')}
+        </div>
+    `;
+}
+
+async function refreshNoteViews() {
+    await renderNotesList();
+    if (panelQuestionId !== null) await renderQuestionNotes(panelQuestionId);
+}
+
+// --- 2. Editor (markdown + live preview, tags, linked questions) ---
+
+/**
+ * Opens the editor empty, pre-filled (e.g. { questionIds: [id], title } from the quiz view), or for an existing note.
+ */
+export async function openNoteEditor(note = {}, pendingImages = []) {
+    releaseEditorImages();
+    noteEditorHeading.textContent = note.id ? '📝 Edit Note' : '📝 New Note';
+    noteTitleInput.value = note.title || '';
+    noteTextInput.value = note.content || '';
+    noteTagsInput.value = (note.tags || []).join(', ');
+    noteQuestionIdsInput.value = (note.questionIds || []).join(', ');
+    newNoteContent.dataset.editingId = note.id || ''; // Store ID for update logic
+    newNoteContent.dataset.source = note.source || '';
+    newNoteContent.dataset.diagramPreset = note.diagramPreset || '';
+    diagramPresetSelect.value = note.diagramPreset || 'general';
+
+    switchEditorTab('write');
+    renderPreview();
+    renderTagSuggestions();
+    renderLinkedQuestions();
+    showModal('new-note-content');
+
+    try {
+        const stored = note.id ? await getNoteImages(note.id) : [];
+        editorImages = [...stored, ...pendingImages];
+    } catch (error) {
+        logError('NOTES_IMAGES_LOAD_FAIL', error, { noteId: note.id });
+        editorImages = [...pendingImages];
+    }
+    renderEditorImages();
+}
+
 /**
  * Fetches a note and populates the modal for editing.
  */
 window.editNote = async function(id) {
     try {
-        const note = await db.notes.get(parseInt(id));
-        if (note) {
-            noteTitleInput.value = note.title;
-            noteTextInput.value = note.content;
-            newNoteContent.dataset.editingId = note.id; // Store ID for update logic
-            showModal('new-note-content');
-        }
+        const note = await getNote(parseInt(id));
+        if (note) openNoteEditor(note);
     } catch (error) {
         logError('NOTES_EDIT_FETCH_FAIL', error, { noteId: id });
     }
@@ -97,49 +215,282 @@ window.editNote = async function(id) {
 
 // Expose delete globally for inline click handlers
 window.deleteNote = deleteNote; 
+window.openNoteEditor = openNoteEditor;
+
+function renderPreview() {
+    previewFrame = null;
+    notePreview.innerHTML = noteTextInput.value.trim()
+        ? renderMarkdown(noteTextInput.value)
+        : '<p class="text-gray-500 italic">Preview appears here.</p>';
+}
+
+function schedulePreview() {
+    if (!previewFrame) previewFrame = requestAnimationFrame(renderPreview);
+}
+
+// Small screens show one pane at a time
+function switchEditorTab(tab) {
+    noteTextInput.classList.toggle('hidden', tab === 'preview');
+    noteTextInput.classList.toggle('md:block', tab === 'preview');
+    notePreview.classList.toggle('hidden', tab === 'write');
+    newNoteContent.querySelectorAll('[data-note-tab]').forEach(btn => {
+        btn.classList.toggle('bg-indigo-600', btn.dataset.noteTab === tab);
+        btn.classList.toggle('bg-white/10', btn.dataset.noteTab !== tab);
+    });
+    if (tab === 'preview') renderPreview();
+}
+
+function readTags() {
+    return noteTagsInput.value.split(',').map(t => t.trim()).filter(Boolean);
+}
+
+// GS papers, bank subjects and tags already in use; chosen ones are highlighted
+async function renderTagSuggestions() {
+    try {
+        const [subjects, used] = await Promise.all([getSubjectTopicMap(), getNoteTags()]);
+        const chosen = new Set(readTags().map(t => t.toLowerCase()));
+        const seen = new Set();
+        const suggestions = [...NOTE_TAG_PRESETS, ...Object.keys(subjects), ...used].filter(t => {
+            const key = t.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+
+        noteTagSuggestions.innerHTML = suggestions.map(t => `
+            <button type="button" data-tag="${escapeHtml(t)}" class="px-2 py-0.5 rounded-full text-[10px] font-semibold border transition ${chosen.has(t.toLowerCase())
+                ? 'bg-indigo-600 border-indigo-500 text-white'
+                : 'bg-white/5 border-white/10 text-gray-300 hover:bg-white/10'}">${escapeHtml(t)}</button>
+        `).join('');
+    } catch (error) {
+        logError('NOTES_TAGS_LOAD_FAIL', error);
+    }
+}
+
+function toggleTag(tag) {
+    const tags = readTags();
+    const rest = tags.filter(t => t.toLowerCase() !== tag.toLowerCase());
+    noteTagsInput.value = (rest.length === tags.length ? [...tags, tag] : rest).join(', ');
+    renderTagSuggestions();
+}
+
+// Shows what each linked id points at, and flags ids that aren't in the bank
+async function renderLinkedQuestions() {
+    const ids = parseQuestionIdList(noteQuestionIdsInput.value);
+    if (ids.length === 0) {
+        noteLinkedQuestions.innerHTML = '';
+        return;
+    }
+    try {
+        const found = await getQuestionsByIds(ids);
+        const byId = new Map(found.map(q => [String(q.id), q]));
+        noteLinkedQuestions.innerHTML = `
+            <ul class="space-y-1">
+                ${ids.map(id => {
+                    const question = byId.get(String(id));
+                    return question
+                        ? `<li class="text-[11px] text-gray-300 truncate"><b class="text-indigo-300">${escapeHtml(id)}</b> ${escapeHtml(question.question_text || question.statements?.[0]?.text || question.topic)}</li>`
+                        : `<li class="text-[11px] text-red-300"><b>${escapeHtml(id)}</b> isn't in your question bank</li>`;
+                }).join('')}
+            </ul>
+        `;
+    } catch (error) {
+        logError('NOTES_LINKS_LOAD_FAIL', error);
+    }
+}
 
-// --- 2. AI Diagram-to-Notes Integration ---
+// --- 3. Notes Panel in the Quiz View ---
 
 /**
- * Handles the file upload and calls the AI Vision model.
+ * Lists the notes linked to a question under it (hidden during exams, see page-quiz.js).
+ */
+export async function renderQuestionNotes(questionId) {
+    if (!questionNotesPanel) return;
+    panelQuestionId = questionId;
+    try {
+        const notes = await getNotesForQuestion(questionId);
+        if (panelQuestionId !== questionId) return; // Moved on while loading
+
+        questionNotesPanel.innerHTML = `
+            <details class="p-4 rounded-2xl glass-panel" ${notes.length ? 'open' : ''}>
+                <summary class="cursor-pointer text-sm font-semibold text-indigo-300">📝 Notes for this question (${notes.length})</summary>
+                <div class="mt-3 space-y-3">
+                    ${notes.map(note => `
+                        <div class="p-3 rounded-xl bg-white/5">
+                            <div class="flex justify-between items-start gap-2">
+                                <h4 class="font-semibold text-sm">${escapeHtml(note.title)}</h4>
+                                <button onclick="window.editNote(${note.id})" class="text-[11px] text-indigo-300 hover:underline flex-shrink-0">Edit</button>
+                            </div>
+                            ${renderTagChips(note.tags)}
+                            <div class="prose text-sm text-gray-200 mt-2">${renderMarkdown(note.content)}</div>
+                        </div>
+                    `).join('')}
+                    <button data-action="add-question-note" class="text-xs text-indigo-300 hover:underline">+ Add a note for this question</button>
+                </div>
+            </details>
+        `;
+        questionNotesPanel.classList.remove('hidden');
+    } catch (error) {
+        logError('NOTES_PANEL_RENDER_FAIL', error, { questionId });
+    }
+}
+
+export function hideQuestionNotes() {
+    panelQuestionId = null;
+    questionNotesPanel?.classList.add('hidden');
+}
+
+// --- 4. AI Diagram-to-Notes Integration ---
+const MAX_PDF_BYTES = 15 * 1024 * 1024; // Inline AI requests top out around 20 MB
+
+function renderEditorImages() {
+    editorImages.forEach(img => { if (!img.url) img.url = URL.createObjectURL(img.blob); });
+    noteImagesStrip.innerHTML = editorImages.map((img, i) => `
+        <div class="relative">
+            ${img.mimeType.startsWith('image/')
+                ? `<a href="${img.url}" target="_blank" rel="noopener"><img src="${img.url}" alt="${escapeHtml(img.name)}" class="w-20 h-20 object-cover rounded-lg border border-white/10"></a>`
+                : `<a href="${img.url}" target="_blank" rel="noopener" class="w-20 h-20 flex flex-col items-center justify-center rounded-lg border border-white/10 bg-white/5 text-[10px] text-gray-300 p-1 text-center break-all">📄 ${escapeHtml(img.name.slice(0, 24))}</a>`}
+            <button type="button" data-remove-image="${i}" class="absolute -top-1 -right-1 w-5 h-5 rounded-full bg-red-600 text-white text-[10px] leading-none">✕</button>
+        </div>
+    `).join('');
+    diagramGenerateButton.disabled = editorImages.length === 0;
+    diagramGenerateButton.textContent = noteTextInput.value.trim() ? '🔄 Regenerate notes' : '✨ Generate notes';
+}
+
+function releaseEditorImages() {
+    editorImages.forEach(img => img.url && URL.revokeObjectURL(img.url));
+    editorImages = [];
+    removedImageIds = [];
+}
+
+function removeEditorImage(index) {
+    const [img] = editorImages.splice(index, 1);
+    if (!img) return;
+    if (img.url) URL.revokeObjectURL(img.url);
+    if (img.id) removedImageIds.push(img.id);
+    renderEditorImages();
+}
+
+/**
+ * Adds the chosen files to the editor: images are downscaled before they are kept or sent anywhere.
  */
 export async function handleDiagramUpload() {
-    const file = diagramFileInput.files[0];
-    if (!file) return;
+    const files = [...diagramFileInput.files];
+    diagramFileInput.value = '';
 
-    if (!file.type.startsWith('image/')) {
-        alert("Please upload a valid image file.");
-        return;
+    for (const file of files) {
+        try {
+            if (file.type === 'application/pdf') {
+                if (file.size > MAX_PDF_BYTES) {
+                    alert(`${file.name} is too large (max ${MAX_PDF_BYTES / 1024 / 1024} MB).`);
+                    continue;
+                }
+                editorImages.push({ blob: file, mimeType: file.type, name: file.name });
+            } else if (file.type.startsWith('image/')) {
+                const blob = await downscaleImage(file);
+                editorImages.push({ blob, mimeType: blob.type, name: file.name });
+            } else {
+                alert(`${file.name} isn't an image or PDF.`);
+            }
+        } catch (error) {
+            logError('AI_DIAGRAM_READ_FAIL', error, { file: file.name });
+            alert(`Could not read ${file.name}.`);
+        }
     }
+    renderEditorImages();
+}
 
-    const reader = new FileReader();
-    reader.onload = async () => {
-        
-        noteTextInput.value = "Generating notes, please wait...";
-        
+/**
+ * Sends every image in the editor to the AI Vision model for one consolidated note.
+ */
+async function handleGenerateNotes() {
+    if (editorImages.length === 0) return;
+    const preset = diagramPresetSelect.value;
+    const editingId = newNoteContent.dataset.editingId;
+
+    try {
+        const images = await Promise.all(editorImages.map(async img => ({
+            data: await blobToBase64(img.blob), mimeType: img.mimeType, name: img.name,
+        })));
+        const job = { images, preset, noteId: editingId ? parseInt(editingId) : null };
+
+        if (!navigator.onLine) {
+            await queueDiagramNotes(job);
+            return;
+        }
+        if (noteTextInput.value.trim() && !confirm("Replace the current content with freshly generated notes?")) return;
+
+        diagramGenerateButton.disabled = true;
+        diagramGenerateButton.textContent = "Generating...";
         try {
-            const base64Image = reader.result.split(',')[1];
-            const mimeType = file.type;
-            const promptText = `Analyze this diagram/map for UPSC relevance.`;
-            
-            const notesContent = await generateNotesFromDiagram(base64Image, mimeType, promptText);
-            
+            const notesContent = await generateNotesFromDiagram(images.map(({ data, mimeType }) => ({ data, mimeType })), preset);
+
             // Populate the modal with AI results
-            noteTitleInput.value = `AI Notes: ${file.name.substring(0, 20)} - ${new Date().toLocaleTimeString()}`;
+            if (!noteTitleInput.value.trim()) noteTitleInput.value = defaultAiNoteTitle(images, Date.now());
             noteTextInput.value = notesContent;
-            
-            alert("AI notes successfully generated! Review and save them.");
-
+            newNoteContent.dataset.source = 'AI Diagram';
+            newNoteContent.dataset.diagramPreset = preset;
+            renderPreview();
         } catch (error) {
-            noteTextInput.value = "AI Generation Failed. See console for error details.";
+            if (shouldQueueAiJob(error)) {
+                await queueDiagramNotes(job);
+                return;
+            }
             logError('AI_DIAGRAM_UI_FAIL', error);
+            alert(`AI generation failed: ${describeAIError(error)}`);
+        } finally {
+            renderEditorImages();
         }
-    };
-    reader.readAsDataURL(file);
+    } catch (error) {
+        logError('AI_DIAGRAM_PREPARE_FAIL', error);
+    }
 }
 
+function defaultAiNoteTitle(images, at) {
+    const name = images[0]?.name || 'diagram';
+    return `AI Notes: ${name.substring(0, 20)}${images.length > 1 ? ` +${images.length - 1}` : ''} - ${new Date(at).toLocaleTimeString()}`;
+}
 
-// --- 3. UI/Event Logic ---
+async function queueDiagramNotes(job) {
+    try {
+        const names = job.images.map(img => img.name).join(', ');
+        await enqueueAiJob('diagram-notes', job, `Diagram Notes: ${names.substring(0, 30)}`);
+        alert("📥 AI is unreachable right now, so these images were queued. The notes will be ready in 📥 once you're back online.");
+    } catch (error) {
+        logError('AI_DIAGRAM_QUEUE_FAIL', error);
+    }
+}
+
+// Jobs queued before multi-image support carried a single { base64Image, mimeType, fileName }
+function jobImages(payload) {
+    return payload.images || [{ data: payload.base64Image, mimeType: payload.mimeType, name: payload.fileName }];
+}
+
+// Queued diagrams come back as a pre-filled note for review (see ai-queue.js)
+registerAiJobType('diagram-notes', {
+    run: async (payload) => {
+        const images = jobImages(payload).map(({ data, mimeType }) => ({ data, mimeType }));
+        return { markdown: await generateNotesFromDiagram(images, payload.preset) };
+    },
+    open: async (job) => {
+        const images = jobImages(job.payload);
+        const generated = { content: job.result.markdown, source: 'AI Diagram', diagramPreset: job.payload.preset };
+
+        // Regenerated from an existing note: reopen that note (its images are already stored)
+        const existing = job.payload.noteId ? await getNote(job.payload.noteId) : null;
+        if (existing) {
+            openNoteEditor({ ...existing, ...generated });
+            return;
+        }
+        openNoteEditor(
+            { title: defaultAiNoteTitle(images, job.updatedAt), ...generated },
+            images.map(img => ({ blob: base64ToBlob(img.data, img.mimeType), mimeType: img.mimeType, name: img.name })),
+        );
+    },
+});
+
+
+// --- 5. UI/Event Logic ---
 
 // Main save handler for the modal
 if (saveNoteButton) {
@@ -153,21 +504,103 @@ if (saveNoteButton) {
             return;
         }
 
-        const noteObject = { title: title, content: content };
+        const noteObject = {
+            title: title,
+            content: content,
+            tags: readTags(),
+            questionIds: parseQuestionIdList(noteQuestionIdsInput.value),
+        };
         if (id) {
-            noteObject.id = id; 
+            noteObject.id = parseInt(id); 
         }
+        if (newNoteContent.dataset.source) noteObject.source = newNoteContent.dataset.source;
+        if (newNoteContent.dataset.diagramPreset) noteObject.diagramPreset = newNoteContent.dataset.diagramPreset;
 
-        saveNote(noteObject);
+        saveNote(noteObject, {
+            addedImages: editorImages.filter(img => !img.id).map(({ blob, mimeType, name }) => ({ blob, mimeType, name })),
+            removedImageIds,
+        });
         hideModal();
         
         // Clear modal for next use
-        noteTitleInput.value = '';
-        noteTextInput.value = '';
-        newNoteContent.dataset.editingId = ''; 
+        clearNoteEditor();
     });
 }
 
+function clearNoteEditor() {
+    noteTitleInput.value = '';
+    noteTextInput.value = '';
+    noteTagsInput.value = '';
+    noteQuestionIdsInput.value = '';
+    newNoteContent.dataset.editingId = '';
+    newNoteContent.dataset.source = '';
+    newNoteContent.dataset.diagramPreset = '';
+    releaseEditorImages();
+    renderEditorImages();
+}
+
+noteTextInput?.addEventListener('input', schedulePreview);
+
+if (diagramPresetSelect) {
+    diagramPresetSelect.innerHTML = Object.entries(DIAGRAM_PROMPT_PRESETS)
+        .map(([value, { label }]) => `<option value="${value}">${label}</option>`).join('');
+}
+diagramGenerateButton?.addEventListener('click', handleGenerateNotes);
+
+noteImagesStrip?.addEventListener('click', (e) => {
+    const removeBtn = e.target.closest('button[data-remove-image]');
+    if (removeBtn) removeEditorImage(parseInt(removeBtn.dataset.removeImage));
+});
+
+// Notes search & filters
+if (notesSortSelect) {
+    notesSortSelect.innerHTML = Object.entries(NOTE_SORTS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+}
+
+notesSearchInput?.addEventListener('input', () => {
+    clearTimeout(searchDebounceTimer);
+    searchDebounceTimer = setTimeout(renderNotesList, SEARCH_DEBOUNCE_MS);
+});
+
+[notesSourceFilter, notesTagFilter, notesSortSelect, notesFromInput, notesToInput].forEach(control => {
+    control?.addEventListener('change', renderNotesList);
+});
+
+document.getElementById('notes-filter-clear')?.addEventListener('click', () => {
+    [notesSearchInput, notesSourceFilter, notesTagFilter, notesFromInput, notesToInput].forEach(control => {
+        if (control) control.value = '';
+    });
+    if (notesSortSelect) notesSortSelect.value = 'relevance';
+    renderNotesList();
+});
+
+// "See all in My Notes" from the main search results
+export function searchMyNotes(query) {
+    if (!notesSearchInput) return;
+    notesSearchInput.value = query;
+    renderNotesList();
+    notesSearchInput.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+noteTagsInput?.addEventListener('change', renderTagSuggestions);
+noteQuestionIdsInput?.addEventListener('change', renderLinkedQuestions);
+
+noteTagSuggestions?.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-tag]');
+    if (btn) toggleTag(btn.dataset.tag);
+});
+
+newNoteContent?.addEventListener('click', (e) => {
+    const tabBtn = e.target.closest('button[data-note-tab]');
+    if (tabBtn) switchEditorTab(tabBtn.dataset.noteTab);
+});
+
+questionNotesPanel?.addEventListener('click', async (e) => {
+    if (!e.target.closest('button[data-action="add-question-note"]') || panelQuestionId === null) return;
+    const [question] = await getQuestionsByIds([panelQuestionId]);
+    const snippet = (question?.question_text || question?.topic || '').slice(0, 40);
+    openNoteEditor({ title: snippet ? `Note: ${snippet}` : '', questionIds: [panelQuestionId], tags: question?.subject ? [question.subject] : [] });
+});
+
 // Attach event listener to file input change
 if (diagramFileInput) {
     diagramFileInput.addEventListener('change', handleDiagramUpload);
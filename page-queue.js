@@ -0,0 +1,142 @@
+// page-queue.js - Queued AI Jobs (header badge + list of pending, finished and failed jobs)
+
+import { getAiJobs, getAiJob, updateAiJob, deleteAiJob } from './db.js';
+import { logError } from './core.js';
+import { showModal, hideModal, escapeHtml } from './ui-common.js';
+import { AI_QUEUE_CHANGED_EVENT, getAiJobType, processAiQueue } from './ai-queue.js';
+
+const queueContent = document.getElementById('ai-queue-content');
+const queueBadge = document.getElementById('ai-queue-badge');
+
+const STATUS_LABELS = {
+    pending: { text: '⏳ Waiting for network', style: 'text-yellow-400' },
+    running: { text: '⚙️ Running...', style: 'text-blue-400 animate-pulse' },
+    done: { text: '✓ Ready', style: 'text-green-400' },
+    failed: { text: '✘ Failed', style: 'text-red-400' },
+};
+
+// --- 1. Header Badge ---
+export async function refreshQueueBadge() {
+    if (!queueBadge) return;
+    try {
+        const jobs = await getAiJobs();
+        const pending = jobs.filter(j => j.status === 'pending' || j.status === 'running').length;
+        const unseen = jobs.filter(j => (j.status === 'done' || j.status === 'failed') && !j.seen).length;
+
+        queueBadge.textContent = [pending && `${pending}⏳`, unseen && `${unseen}✓`].filter(Boolean).join(' ');
+        queueBadge.classList.toggle('hidden', pending + unseen === 0);
+        queueBadge.classList.toggle('bg-green-500', pending === 0);
+        queueBadge.classList.toggle('bg-yellow-500', pending > 0);
+    } catch (error) {
+        logError('AI_QUEUE_BADGE_FAIL', error);
+    }
+}
+
+// --- 2. Queue Modal ---
+function renderJob(job) {
+    const status = STATUS_LABELS[job.status] || STATUS_LABELS.pending;
+    return `
+        <li class="p-3 bg-white/5 rounded-xl ${job.seen ? '' : 'border border-indigo-500/30'}">
+            <div class="flex justify-between items-start gap-2">
+                <div class="min-w-0">
+                    <p class="text-sm font-semibold truncate">${escapeHtml(job.label || job.type)}</p>
+                    <p class="text-[10px] text-gray-400">Queued ${new Date(job.createdAt).toLocaleString()}${job.attempts ? ` • ${job.attempts} attempt${job.attempts === 1 ? '' : 's'}` : ''}</p>
+                </div>
+                <span class="text-[10px] font-bold flex-shrink-0 ${status.style}">${status.text}</span>
+            </div>
+            ${job.lastError && job.status !== 'done' ? `<p class="text-[11px] text-red-300 mt-1">${escapeHtml(job.lastError)}</p>` : ''}
+            <div class="flex gap-3 mt-2 text-xs">
+                ${job.status === 'done' ? `<button data-job-action="open" data-job-id="${job.id}" class="text-indigo-300 hover:underline">Open result</button>` : ''}
+                ${job.status === 'failed' ? `<button data-job-action="retry" data-job-id="${job.id}" class="text-indigo-300 hover:underline">Retry</button>` : ''}
+                ${job.status !== 'running' ? `<button data-job-action="delete" data-job-id="${job.id}" class="text-gray-500 hover:text-red-400">${job.status === 'pending' ? 'Cancel' : 'Dismiss'}</button>` : ''}
+            </div>
+        </li>
+    `;
+}
+
+async function renderQueue() {
+    if (!queueContent) return;
+    try {
+        const jobs = await getAiJobs();
+        queueContent.innerHTML = `
+            <h3 class="text-xl font-bold mb-1">📥 Queued AI Requests</h3>
+            <p class="text-xs text-gray-400 mb-4">${navigator.onLine ? 'Online — queued requests run automatically.' : 'Offline — requests will run when the connection is back.'}</p>
+            ${jobs.length === 0
+                ? '<p class="text-sm text-gray-500 italic mb-4">Nothing queued. AI requests made without signal will wait here.</p>'
+                : `<ul class="space-y-2 mb-4">${jobs.map(renderJob).join('')}</ul>`}
+            ${jobs.some(j => j.status === 'pending') && navigator.onLine
+                ? '<button data-job-action="run-now" class="w-full py-2 mb-2 bg-indigo-600 hover:bg-indigo-500 rounded-xl text-sm font-bold">Run pending now</button>'
+                : ''}
+            <button onclick="hideModal()" class="w-full mt-2 text-gray-400 text-sm">Close</button>
+        `;
+    } catch (error) {
+        logError('AI_QUEUE_RENDER_FAIL', error);
+        queueContent.innerHTML = '<p class="text-red-500">Could not load the queue due to a database error.</p>';
+    }
+}
+
+export async function openAiQueue() {
+    showModal('ai-queue-content');
+    await renderQueue();
+
+    // Failures are "seen" once listed; finished jobs only once opened
+    const jobs = await getAiJobs();
+    await Promise.all(jobs.filter(j => j.status === 'failed' && !j.seen).map(j => updateAiJob(j.id, { seen: true })));
+    await refreshQueueBadge();
+}
+
+async function openJobResult(id) {
+    const job = await getAiJob(id);
+    const handlers = job && getAiJobType(job.type);
+    if (!handlers?.open) return;
+
+    await updateAiJob(id, { seen: true });
+    await refreshQueueBadge();
+    hideModal();
+    // Let the queue modal fade out before the result opens its own view
+    setTimeout(() => handlers.open(job), 320);
+}
+
+// --- 3. Event Wiring ---
+queueContent?.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-job-action]');
+    if (!btn) return;
+    const id = parseInt(btn.dataset.jobId);
+
+    try {
+        switch (btn.dataset.jobAction) {
+            case 'open':
+                await openJobResult(id);
+                return;
+            case 'retry':
+                await updateAiJob(id, { status: 'pending', attempts: 0, lastError: null });
+                processAiQueue();
+                break;
+            case 'delete':
+                await deleteAiJob(id);
+                break;
+            case 'run-now':
+                processAiQueue();
+                break;
+        }
+        await renderQueue();
+        await refreshQueueBadge();
+    } catch (error) {
+        logError('AI_QUEUE_ACTION_FAIL', error, { jobId: id, action: btn.dataset.jobAction });
+    }
+});
+
+function renderQueueIfOpen() {
+    if (queueContent && !queueContent.classList.contains('hidden')) renderQueue();
+}
+
+window.addEventListener(AI_QUEUE_CHANGED_EVENT, () => {
+    refreshQueueBadge();
+    renderQueueIfOpen();
+});
+window.addEventListener('online', renderQueueIfOpen);
+window.addEventListener('offline', renderQueueIfOpen);
+document.addEventListener('DOMContentLoaded', refreshQueueBadge);
+
+// Export for global usage (HTML onclicks)
+window.openAiQueue = openAiQueue;
@@ -1,24 +1,39 @@
 // page-quiz.js - Quiz Engine & Interaction Logic (With Aditya AI Integration)
 
-import { getQuestions } from './db.js';
-import { calculateScore, aggregateQuizResults } from './core.js';
-import { showModal, goHome } from './ui-common.js';
-import { generateSocraticExplanation } from './ai.js'; 
+import { getSetting, getQuestions, getAllQuestions, getQuestionsByIds, saveQuizResult, getReviewCards, saveReviewCards, getDueReviewCards, getAdityaChat, saveAdityaChat, deleteAdityaChat } from './db.js';
+import { APP_CONFIG, calculateScore, getAnswerMode, getCorrectSelections, encodeStatementMark, aggregateQuizResults, estimateCutoffComparison, MARKING_SCHEMES, scheduleReview, reviewQualityFromResult, logError } from './core.js';
+import { showModal, hideModal, goHome, createMarkdownStream, escapeHtml } from './ui-common.js';
+import { chatWithAditya } from './ai.js'; 
+import { renderQuestionNotes, hideQuestionNotes } from './page-notes.js';
 
 let currentQuestions = [];
 let currentQuestionIndex = 0;
 let userAnswers = {}; // Map: { questionId: [selectedOptionIds] }
 let quizContext = {};
+let markedForReview = new Set(); // questionIds flagged via "Mark for Review"
+let questionTimings = {}; // Map: { questionId: msSpent }
+let questionShownAt = null;
+let lastSubmission = null; // { summary, results } of the quiz just submitted
+let isSubmitted = false;   // Set as submitQuiz() starts: a double click or the timer can't save the attempt twice
+let isReviewing = false;   // Post-submit answer walkthrough
+let examTimerId = null;
+let examDeadline = null;
+let notesPanelFor = null;  // questionId whose linked notes are showing under the question
 
 // --- 1. Start Quiz ---
-export async function startNewQuiz(subject, topic) {
+// options.questions: pre-selected questions (Review mode, search results) instead of a subject/topic lookup
+// options.mode: 'practice' | 'review' | 'search' | 'exam' ; options.timeLimitMs: countdown (exam mode)
+export async function startNewQuiz(subject, topic, options = {}) {
+    const mode = options.mode || 'practice';
+    stopExamTimer();
+
     // UI Setup
     document.getElementById('home-screen').classList.add('hidden');
     document.getElementById('quiz-container').classList.remove('hidden');
     
-    // 1. SHOW ADITYA BUTTON (The Floating AI)
+    // 1. SHOW ADITYA BUTTON (The Floating AI) - no mentor help during a timed exam
     const adityaBtn = document.getElementById('aditya-floating-btn');
-    if (adityaBtn) adityaBtn.classList.remove('hidden');
+    if (adityaBtn) adityaBtn.classList.toggle('hidden', mode === 'exam');
 
     // 2. RESET ADITYA SHEET (Ensure it's closed)
     const adityaSheet = document.getElementById('aditya-sheet');
@@ -27,15 +42,29 @@ export async function startNewQuiz(subject, topic) {
     // Reset State
     currentQuestionIndex = 0;
     userAnswers = {};
-    quizContext = { subject, topic };
+    markedForReview = new Set();
+    lastSubmission = null;
+    isSubmitted = false;
+    isReviewing = false;
+    questionTimings = {};
+    questionShownAt = null;
+    notesPanelFor = null;
+    quizContext = {
+        subject,
+        topic,
+        mode,
+        scheme: mode === 'exam' ? MARKING_SCHEMES.prelims : MARKING_SCHEMES.practice,
+        // The real paper has no partial credit, so exam mode ignores the setting
+        partialCredit: mode !== 'exam' && (await getSetting(APP_CONFIG.PARTIAL_CREDIT_KEY)) === true,
+    };
     
     // Show Loading
     const qDisplay = document.getElementById('question-display');
-    qDisplay.innerHTML = `<p class="text-center animate-pulse">Loading ${subject} questions...</p>`;
+    qDisplay.innerHTML = `<p class="text-center animate-pulse">Loading ${escapeHtml(subject)} questions...</p>`;
 
     try {
-        // Fetch from DB
-        currentQuestions = await getQuestions(subject, topic);
+        // Fetch from DB (unless the caller already picked the questions)
+        currentQuestions = options.questions || await getQuestions(subject, topic);
         
         if (!currentQuestions || currentQuestions.length === 0) {
             alert("No questions found for this topic. Try generating some with AI first!");
@@ -46,6 +75,8 @@ export async function startNewQuiz(subject, topic) {
         renderQuestion();
         updateNavigationButtons();
 
+        if (options.timeLimitMs) startExamTimer(options.timeLimitMs);
+
     } catch (error) {
         console.error("Quiz Load Error:", error);
         alert("Failed to load quiz.");
@@ -53,9 +84,141 @@ export async function startNewQuiz(subject, topic) {
     }
 }
 
+// --- 1a. Timed Exam Mode (Prelims Simulation) ---
+function shuffle(items) {
+    const arr = [...items];
+    for (let i = arr.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+}
+
+export async function startExam({ count = 100, minutes = 120, subject = '' } = {}) {
+    try {
+        const pool = subject ? await getQuestions(subject) : await getAllQuestions();
+        if (pool.length === 0) {
+            alert("Question bank is empty. Generate or import some questions first!");
+            return;
+        }
+
+        const questions = shuffle(pool).slice(0, count);
+        // A short bank gets a proportionally shorter paper: same time per question as asked for
+        let timeLimitMs = minutes * 60 * 1000;
+        if (questions.length < count) {
+            timeLimitMs = Math.ceil((minutes * questions.length) / count) * 60 * 1000;
+            const ok = confirm(
+                `The bank only has ${questions.length} question${questions.length === 1 ? '' : 's'} for this exam, not ${count}.` +
+                `\n\nStart a ${questions.length}-question paper with ${timeLimitMs / 60000} minutes instead?` +
+                `\n(The cutoff estimate is scaled to the shorter paper.)`
+            );
+            if (!ok) return;
+        }
+
+        await startNewQuiz(subject || 'Mixed', 'Prelims Mock', {
+            questions,
+            mode: 'exam',
+            timeLimitMs,
+        });
+    } catch (error) {
+        logError('EXAM_START_FAIL', error, { count, minutes, subject });
+        alert("Failed to start exam.");
+    }
+}
+
+function formatCountdown(ms) {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const h = Math.floor(totalSeconds / 3600);
+    const m = Math.floor((totalSeconds % 3600) / 60);
+    const s = totalSeconds % 60;
+    const pad = n => String(n).padStart(2, '0');
+    return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${pad(m)}:${pad(s)}`;
+}
+
+function startExamTimer(timeLimitMs) {
+    const timerEl = document.getElementById('exam-timer');
+    examDeadline = Date.now() + timeLimitMs;
+
+    const tick = () => {
+        const remaining = examDeadline - Date.now();
+        if (timerEl) {
+            timerEl.textContent = `⏱ ${formatCountdown(remaining)}`;
+            // Last 5 minutes: make it obvious
+            timerEl.classList.toggle('text-red-400', remaining <= 5 * 60 * 1000);
+            timerEl.classList.toggle('animate-pulse', remaining <= 60 * 1000);
+        }
+        if (remaining <= 0) {
+            stopExamTimer();
+            alert("Time's up! Your paper is being submitted.");
+            submitQuiz();
+        }
+    };
+
+    if (timerEl) timerEl.classList.remove('hidden');
+    tick();
+    examTimerId = setInterval(tick, 1000);
+}
+
+function stopExamTimer() {
+    if (examTimerId) clearInterval(examTimerId);
+    examTimerId = null;
+    examDeadline = null;
+    const timerEl = document.getElementById('exam-timer');
+    if (timerEl) timerEl.classList.add('hidden');
+}
+
+// --- 1b. Spaced-Repetition Review Quiz ---
+export async function startReviewQuiz() {
+    try {
+        const dueCards = await getDueReviewCards();
+        if (dueCards.length === 0) {
+            alert("Nothing due for review today. Ekdum clear! 🎉");
+            return;
+        }
+
+        // Most overdue first
+        dueCards.sort((a, b) => a.due - b.due);
+        const questions = await getQuestionsByIds(dueCards.map(c => c.questionId));
+        await startNewQuiz('Review', 'Due Today', { questions, mode: 'review' });
+    } catch (error) {
+        logError('REVIEW_QUIZ_START_FAIL', error);
+        alert("Failed to load review queue.");
+    }
+}
+
+export async function refreshReviewBadge() {
+    const badge = document.getElementById('review-due-count');
+    if (!badge) return;
+    try {
+        const dueCards = await getDueReviewCards();
+        badge.textContent = dueCards.length;
+        badge.classList.toggle('hidden', dueCards.length === 0);
+    } catch (error) {
+        logError('REVIEW_BADGE_FAIL', error);
+    }
+}
+
+// Wrong answers enter the queue; questions already in it get rescheduled either way
+async function updateReviewQueue(results) {
+    const existingCards = await getReviewCards(results.map(r => r.questionId));
+    const cardsById = new Map(existingCards.map(c => [c.questionId, c]));
+
+    const updatedCards = results
+        .filter(r => !r.isCorrect || cardsById.has(r.questionId))
+        .map(r => scheduleReview(
+            cardsById.get(r.questionId) || { questionId: r.questionId, addedAt: Date.now() },
+            reviewQualityFromResult(r)
+        ));
+
+    if (updatedCards.length > 0) await saveReviewCards(updatedCards);
+}
+
 // --- 2. Clean Exit Logic ---
 // We use this instead of direct goHome() to ensure the AI button disappears
 export function exitQuiz() {
+    stopExamTimer();
+    isReviewing = false;
+
     // Hide Aditya Button
     const adityaBtn = document.getElementById('aditya-floating-btn');
     if (adityaBtn) adityaBtn.classList.add('hidden');
@@ -63,15 +226,29 @@ export function exitQuiz() {
     // Close Sheet if open
     closeAditya();
 
+    hideQuestionNotes();
+    notesPanelFor = null;
+
     // Go Home
     goHome();
 }
 
 // --- 3. Render Question ---
+const MODE_HINTS = {
+    single: '',
+    multi: 'Select ALL correct options',
+    statements: 'Mark each statement True or False',
+};
+
 function renderQuestion() {
     const question = currentQuestions[currentQuestionIndex];
     const qDisplay = document.getElementById('question-display');
     const optionsContainer = document.getElementById('options-container');
+    const mode = getAnswerMode(question);
+    const selections = userAnswers[question.id] || [];
+
+    // Start the clock only when a new question is shown (re-renders on selection don't reset it)
+    if (!questionShownAt) questionShownAt = Date.now();
 
     // 1. Render Question Text & Header
     // Note: We changed onclick="goHome()" to onclick="exitQuiz()"
@@ -81,153 +258,639 @@ function renderQuestion() {
             <button onclick="exitQuiz()" class="text-xs text-red-500 font-semibold hover:underline">Quit X</button>
         </div>
         <h2 class="text-lg font-semibold text-gray-800 dark:text-gray-100 mb-2 leading-relaxed">
-            ${question.question_text || "Consider the following statements:"}
+            ${escapeHtml(question.question_text || "Consider the following statements:")}
         </h2>
-        ${renderStatements(question)}
+        ${MODE_HINTS[mode] ? `<p class="text-[11px] font-bold uppercase tracking-wider text-indigo-300 mb-3">${MODE_HINTS[mode]}</p>` : ''}
+        ${mode === 'statements' ? '' : renderStatements(question)}
     `;
 
-    // 2. Render Options
+    // 2. Render Options (or statement judgements)
     optionsContainer.innerHTML = '';
+
+    if (mode === 'statements') {
+        question.statements.forEach((st, i) => {
+            const row = document.createElement('div');
+            row.className = 'p-4 mb-3 rounded-xl border bg-white/5 border-gray-200 dark:border-gray-700';
+            row.innerHTML = `<p class="text-sm text-gray-700 dark:text-gray-300 mb-3"><b class="text-gray-400">${i + 1}.</b> ${escapeHtml(st.text)}</p>`;
+
+            const buttons = document.createElement('div');
+            buttons.className = 'flex gap-2';
+            [true, false].forEach(markedTrue => {
+                const isSelected = selections.includes(encodeStatementMark(st.id, markedTrue));
+                const btn = document.createElement('button');
+                btn.className = `flex-1 py-2 rounded-lg text-xs font-bold border transition ${isSelected
+                    ? (markedTrue ? 'bg-green-600 border-green-500 text-white' : 'bg-red-600 border-red-500 text-white')
+                    : 'bg-white/5 border-gray-600 text-gray-300 hover:bg-white/10'}`;
+                btn.textContent = markedTrue ? 'True' : 'False';
+                btn.onclick = () => markStatement(question.id, st.id, markedTrue);
+                buttons.appendChild(btn);
+            });
+
+            row.appendChild(buttons);
+            optionsContainer.appendChild(row);
+        });
+        return;
+    }
+
+    const isMulti = mode === 'multi';
     question.options.forEach(opt => {
-        const isSelected = (userAnswers[question.id] || []).includes(opt.id);
+        const isSelected = selections.includes(opt.id);
         
         const btn = document.createElement('div');
         btn.className = `
             p-4 mb-3 rounded-xl border cursor-pointer transition select-none flex items-center
             ${isSelected ? 'bg-indigo-50 border-primary dark:bg-indigo-900/30 dark:border-indigo-500' : 'bg-white/5 border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-white/5'}
         `;
+        // Checkbox squares for multi-select, radio circles otherwise
         btn.innerHTML = `
-            <div class="w-6 h-6 rounded-full border mr-4 flex items-center justify-center flex-shrink-0 ${isSelected ? 'bg-primary border-primary' : 'border-gray-400'}">
-                ${isSelected ? '<div class="w-2.5 h-2.5 bg-white rounded-full"></div>' : ''}
+            <div class="w-6 h-6 ${isMulti ? 'rounded-md' : 'rounded-full'} border mr-4 flex items-center justify-center flex-shrink-0 ${isSelected ? 'bg-primary border-primary' : 'border-gray-400'}">
+                ${isSelected ? (isMulti ? '<span class="text-white text-xs font-bold">✓</span>' : '<div class="w-2.5 h-2.5 bg-white rounded-full"></div>') : ''}
             </div>
-            <span class="text-sm ${isSelected ? 'font-semibold text-primary dark:text-indigo-300' : 'text-gray-700 dark:text-gray-300'}">${opt.text}</span>
+            <span class="text-sm ${isSelected ? 'font-semibold text-primary dark:text-indigo-300' : 'text-gray-700 dark:text-gray-300'}">${escapeHtml(opt.text)}</span>
         `;
         
-        btn.onclick = () => toggleSelection(question.id, opt.id);
+        btn.onclick = () => toggleSelection(question, opt.id);
         optionsContainer.appendChild(btn);
     });
 }
 
-function renderStatements(question) {
+// --- 3b. Post-Submit Answer Review ---
+export function openAnswerReview(index = 0) {
+    if (!lastSubmission) return;
+    hideModal();
+    isReviewing = true;
+    currentQuestionIndex = index;
+    renderReviewQuestion();
+    updateNavigationButtons();
+    document.getElementById('quiz-container').scrollIntoView({ behavior: 'smooth' });
+}
+
+function renderReviewQuestion() {
+    const question = currentQuestions[currentQuestionIndex];
+    const result = lastSubmission.results[currentQuestionIndex];
+    const qDisplay = document.getElementById('question-display');
+    const optionsContainer = document.getElementById('options-container');
+
+    const verdict = result.isCorrect
+        ? '<span class="text-green-400">✔ Correct</span>'
+        : (result.attempted ? '<span class="text-red-400">✘ Wrong</span>' : '<span class="text-gray-400">— Unattempted</span>');
+
+    qDisplay.innerHTML = `
+        <div class="flex justify-between items-center mb-4 border-b pb-2 border-gray-200 dark:border-gray-700">
+            <span class="text-sm font-bold text-gray-500">Review • Q ${currentQuestionIndex + 1} of ${currentQuestions.length}</span>
+            <span class="text-xs font-bold">${verdict}</span>
+        </div>
+        <h2 class="text-lg font-semibold text-gray-800 dark:text-gray-100 mb-2 leading-relaxed">
+            ${escapeHtml(question.question_text || "Consider the following statements:")}
+        </h2>
+        ${getAnswerMode(question) === 'statements' ? '' : renderStatements(question, true)}
+        ${result.partial > 0 && !result.isCorrect ? `<p class="text-[11px] text-orange-300 mb-2">Partially correct (${Math.round(result.partial * 100)}%)</p>` : ''}
+    `;
+
+    optionsContainer.innerHTML = `
+        ${getAnswerMode(question) === 'statements' ? question.statements.map((st, i) => {
+            const truth = st.is_correct === true;
+            const mark = result.userSelections.find(m => m.startsWith(`${st.id}:`));
+            const markedTrue = mark ? mark.endsWith(':T') : null;
+            const right = markedTrue === truth;
+            return `
+                <div class="p-4 mb-3 rounded-xl border ${mark ? (right ? 'bg-green-500/10 border-green-500/50' : 'bg-red-500/10 border-red-500/50') : 'bg-white/5 border-gray-200 dark:border-gray-700'}">
+                    <p class="text-sm text-gray-300 mb-2"><b class="text-gray-400">${i + 1}.</b> ${escapeHtml(st.text)}</p>
+                    <p class="text-[10px] font-bold uppercase tracking-wider">
+                        <span class="text-indigo-300">You: ${mark ? (markedTrue ? 'True' : 'False') : '—'}</span>
+                        <span class="ml-2 ${truth ? 'text-green-400' : 'text-red-400'}">Actually: ${truth ? 'True' : 'False'}</span>
+                    </p>
+                </div>
+            `;
+        }).join('') : question.options.map(opt => {
+            const chosen = result.userSelections.includes(opt.id);
+            const correct = opt.is_correct === true;
+            const style = correct
+                ? 'bg-green-500/10 border-green-500/50'
+                : (chosen ? 'bg-red-500/10 border-red-500/50' : 'bg-white/5 border-gray-200 dark:border-gray-700');
+            return `
+                <div class="p-4 mb-3 rounded-xl border flex items-center justify-between ${style}">
+                    <span class="text-sm ${correct ? 'font-semibold text-green-300' : (chosen ? 'text-red-300' : 'text-gray-300')}">${escapeHtml(opt.text)}</span>
+                    <span class="text-[10px] font-bold uppercase tracking-wider ml-3 flex-shrink-0">
+                        ${chosen ? '<span class="text-indigo-300">Your choice</span>' : ''}
+                        ${correct ? '<span class="text-green-400 ml-1">Correct</span>' : ''}
+                    </span>
+                </div>
+            `;
+        }).join('')}
+
+        ${question.explanation ? `
+            <div class="p-4 mb-3 rounded-xl bg-indigo-500/10 border border-indigo-500/20">
+                <h4 class="text-xs font-bold text-indigo-300 uppercase tracking-wider mb-2">Explanation</h4>
+                ${question.explanation.summary ? `<p class="text-sm text-gray-200 mb-2">${escapeHtml(question.explanation.summary)}</p>` : ''}
+                ${question.explanation.detail ? `<p class="text-xs text-gray-400 leading-relaxed">${escapeHtml(question.explanation.detail)}</p>` : ''}
+            </div>
+        ` : ''}
+
+        <button id="review-aditya-btn" onclick="askAditya()" class="w-full py-3 mb-3 bg-gradient-to-r from-orange-500 to-red-600 text-white rounded-xl font-bold text-sm shadow-lg">
+            🧞 Ask Aditya about this question
+        </button>
+    `;
+
+    // Earlier conversations (e.g. hints taken mid-quiz) can be picked up again here
+    getAdityaChat(question.id).then(chat => {
+        const btn = document.getElementById('review-aditya-btn');
+        if (btn && chat?.messages.length) btn.textContent = `💬 Continue chat with Aditya (${chat.messages.length} messages)`;
+    }).catch(error => logError('ADITYA_CHAT_LOAD_FAIL', error, { questionId: question.id }));
+}
+
+function renderStatements(question, showTruth = false) {
     if (!question.statements || question.statements.length === 0) return '';
     return `
         <ul class="list-decimal list-inside space-y-2 mb-4 text-gray-700 dark:text-gray-300 text-sm">
-            ${question.statements.map(s => `<li class="leading-relaxed">${s.text}</li>`).join('')}
+            ${question.statements.map(s => `
+                <li class="leading-relaxed">${escapeHtml(s.text)}
+                    ${showTruth ? (s.is_correct
+                        ? '<span class="ml-1 text-[10px] font-bold text-green-400">✔ TRUE</span>'
+                        : '<span class="ml-1 text-[10px] font-bold text-red-400">✘ FALSE</span>') : ''}
+                </li>
+            `).join('')}
         </ul>
     `;
 }
 
 // --- 4. Interaction Logic ---
-function toggleSelection(questionId, optionId) {
-    userAnswers[questionId] = [optionId]; 
+function toggleSelection(question, optionId) {
+    const current = userAnswers[question.id] || [];
+
+    if (getAnswerMode(question) === 'multi') {
+        userAnswers[question.id] = current.includes(optionId)
+            ? current.filter(id => id !== optionId)
+            : [...current, optionId];
+    } else {
+        userAnswers[question.id] = [optionId]; 
+    }
+
     renderQuestion(); 
+    renderPalette();
+}
+
+// One True/False mark per statement: replaces any earlier mark for the same statement
+function markStatement(questionId, statementId, markedTrue) {
+    const others = (userAnswers[questionId] || []).filter(mark => !mark.startsWith(`${statementId}:`));
+    userAnswers[questionId] = [...others, encodeStatementMark(statementId, markedTrue)];
+    renderQuestion();
+    renderPalette();
 }
 
 function updateNavigationButtons() {
     const nextBtn = document.getElementById('next-button');
+    const prevBtn = document.getElementById('prev-button');
+    const markBtn = document.getElementById('mark-review-button');
+    const skipBtn = document.getElementById('skip-button');
     const isLast = currentQuestionIndex === currentQuestions.length - 1;
+    const question = currentQuestions[currentQuestionIndex];
     
-    nextBtn.textContent = isLast ? "Finish & Submit" : "Next Question →";
-    nextBtn.onclick = isLast ? submitQuiz : nextQuestion;
+    if (isReviewing) {
+        nextBtn.textContent = isLast ? "Back to Results" : "Next Question →";
+        nextBtn.onclick = isLast ? () => showResultsModal(lastSubmission.summary) : nextQuestion;
+    } else {
+        nextBtn.textContent = isLast ? "Review & Submit" : "Next Question →";
+        nextBtn.onclick = isLast ? openSubmitReview : nextQuestion;
+    }
     nextBtn.disabled = false;
+
+    // Flagging and skipping make no sense once the paper is submitted
+    markBtn?.classList.toggle('hidden', isReviewing);
+    skipBtn?.classList.toggle('hidden', isReviewing);
+
+    if (prevBtn) {
+        prevBtn.disabled = currentQuestionIndex === 0;
+        prevBtn.onclick = previousQuestion;
+    }
+    if (markBtn) {
+        markBtn.textContent = markedForReview.has(question.id) ? "🚩 Unmark" : "🚩 Mark";
+        markBtn.onclick = toggleMarkForReview;
+    }
+    if (skipBtn) {
+        skipBtn.onclick = skipQuestion;
+    }
+
+    syncQuestionNotes();
+    renderPalette();
+}
+
+// Notes would give answers away mid-exam; they come back for the post-submit review
+function syncQuestionNotes() {
+    const question = currentQuestions[currentQuestionIndex];
+    if (!question || (quizContext.mode === 'exam' && !isReviewing)) {
+        hideQuestionNotes();
+        notesPanelFor = null;
+        return;
+    }
+    if (notesPanelFor === question.id) return;
+    notesPanelFor = question.id;
+    renderQuestionNotes(question.id);
+}
+
+// Adds the time spent on the visible question to its running total
+function recordTimeOnCurrentQuestion() {
+    const question = currentQuestions[currentQuestionIndex];
+    if (!question || !questionShownAt) return;
+    questionTimings[question.id] = (questionTimings[question.id] || 0) + (Date.now() - questionShownAt);
+    questionShownAt = null;
+}
+
+export function goToQuestion(index) {
+    if (index < 0 || index >= currentQuestions.length || index === currentQuestionIndex) return;
+    if (!isReviewing) recordTimeOnCurrentQuestion();
+    currentQuestionIndex = index;
+    if (isReviewing) renderReviewQuestion();
+    else renderQuestion();
+    updateNavigationButtons();
 }
 
 function nextQuestion() {
-    if (currentQuestionIndex < currentQuestions.length - 1) {
-        currentQuestionIndex++;
-        renderQuestion();
-        updateNavigationButtons();
+    goToQuestion(currentQuestionIndex + 1);
+}
+
+function previousQuestion() {
+    goToQuestion(currentQuestionIndex - 1);
+}
+
+// Leaves the question unanswered and moves on (from the last question, straight to the review screen)
+function skipQuestion() {
+    if (currentQuestionIndex === currentQuestions.length - 1) openSubmitReview();
+    else nextQuestion();
+}
+
+function toggleMarkForReview() {
+    const questionId = currentQuestions[currentQuestionIndex].id;
+    if (markedForReview.has(questionId)) markedForReview.delete(questionId);
+    else markedForReview.add(questionId);
+    updateNavigationButtons();
+}
+
+function isAnswered(questionId) {
+    return (userAnswers[questionId] || []).length > 0;
+}
+
+// --- 4b. Question Palette (OMR-style navigation) ---
+function renderPalette() {
+    const palette = document.getElementById('question-palette');
+    if (!palette) return;
+
+    const answeredCount = currentQuestions.filter(q => isAnswered(q.id)).length;
+    const legend = isReviewing ? `
+            <span><span class="inline-block w-2 h-2 rounded-sm bg-green-500 mr-1"></span>Correct (${lastSubmission.summary.correctCount})</span>
+            <span><span class="inline-block w-2 h-2 rounded-sm bg-red-500 mr-1"></span>Wrong (${lastSubmission.summary.wrongCount})</span>
+            <span><span class="inline-block w-2 h-2 rounded-sm bg-white/20 mr-1"></span>Unattempted (${lastSubmission.summary.unattemptedCount})</span>
+        ` : `
+            <span><span class="inline-block w-2 h-2 rounded-sm bg-green-500 mr-1"></span>Answered (${answeredCount})</span>
+            <span><span class="inline-block w-2 h-2 rounded-sm bg-white/20 mr-1"></span>Not answered (${currentQuestions.length - answeredCount})</span>
+            <span><span class="inline-block w-2 h-2 rounded-sm bg-purple-500 mr-1"></span>Marked (${markedForReview.size})</span>
+        `;
+
+    palette.innerHTML = `
+        <div class="flex flex-wrap gap-x-4 gap-y-1 text-[10px] text-gray-400 mb-3">${legend}</div>
+        <div class="grid grid-cols-10 gap-1.5">
+            ${currentQuestions.map((q, i) => {
+                const answered = isAnswered(q.id);
+                const marked = markedForReview.has(q.id);
+                let colour = marked ? 'bg-purple-500 text-white' : (answered ? 'bg-green-600 text-white' : 'bg-white/10 text-gray-300');
+                if (isReviewing) {
+                    const result = lastSubmission.results[i];
+                    colour = result.isCorrect ? 'bg-green-600 text-white' : (answered ? 'bg-red-600 text-white' : 'bg-white/10 text-gray-300');
+                }
+                const current = i === currentQuestionIndex ? 'ring-2 ring-indigo-400' : '';
+                // Marked AND answered: the answer still counts, so show a green dot on the purple cell
+                return `
+                    <button onclick="goToQuestion(${i})" class="relative aspect-square rounded-md text-[11px] font-bold ${colour} ${current} hover:opacity-80 transition">
+                        ${i + 1}
+                        ${marked && answered ? '<span class="absolute -top-0.5 -right-0.5 w-2 h-2 rounded-full bg-green-400"></span>' : ''}
+                    </button>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+// --- 4c. Review Before Submit ---
+export function openSubmitReview() {
+    const container = document.getElementById('submit-review-content');
+
+    const unattempted = currentQuestions
+        .map((q, i) => ({ q, i }))
+        .filter(({ q }) => !isAnswered(q.id));
+    const flagged = currentQuestions
+        .map((q, i) => ({ q, i }))
+        .filter(({ q }) => markedForReview.has(q.id));
+
+    const renderJumpList = (entries) => entries.map(({ q, i }) => `
+        <li>
+            <button onclick="hideModal(); goToQuestion(${i})" class="w-full text-left p-2 bg-white/5 hover:bg-white/10 rounded-lg text-xs transition">
+                <b class="text-gray-400">Q${i + 1}.</b> ${escapeHtml((q.question_text || 'Consider the following statements:').substring(0, 70))}
+            </button>
+        </li>
+    `).join('');
+
+    container.innerHTML = `
+        <h3 class="text-xl font-bold mb-1">Review Before Submit</h3>
+        <p class="text-xs text-gray-400 mb-4">${currentQuestions.length - unattempted.length} of ${currentQuestions.length} answered</p>
+
+        <h4 class="text-xs font-bold text-gray-300 uppercase tracking-wider mb-2">Unattempted (${unattempted.length})</h4>
+        <ul class="space-y-1 mb-4">${renderJumpList(unattempted) || '<li class="text-xs text-gray-500 italic">None 🎉</li>'}</ul>
+
+        <h4 class="text-xs font-bold text-purple-300 uppercase tracking-wider mb-2">Marked for Review (${flagged.length})</h4>
+        <ul class="space-y-1 mb-6">${renderJumpList(flagged) || '<li class="text-xs text-gray-500 italic">None</li>'}</ul>
+
+        <button onclick="submitQuiz()" class="w-full py-4 bg-gradient-to-r from-indigo-600 to-purple-600 text-white rounded-xl font-bold shadow-lg">
+            Submit Now
+        </button>
+        <button onclick="hideModal()" class="w-full mt-3 text-gray-400 text-sm">Keep Working</button>
+    `;
+
+    showModal('submit-review-content');
+}
+
+// --- 5. ADITYA AI LOGIC (Chat thread per question, stored in Dexie) ---
+
+let adityaController = null; // AbortController of the in-flight streamed reply
+let adityaChat = null;       // { questionId, messages } of the open thread
+
+const ADITYA_OPENERS = {
+    hint: "I'm stuck on this one. Give me a hint, bhai — don't tell me the answer.",
+    explain: "Where did my reasoning go wrong?",
+};
+
+function setAdityaStreaming(isStreaming) {
+    const stopBtn = document.getElementById('aditya-stop-btn');
+    const sendBtn = document.getElementById('aditya-send-btn');
+    if (stopBtn) stopBtn.classList.toggle('hidden', !isStreaming);
+    if (sendBtn) sendBtn.disabled = isStreaming;
+}
+
+// Hint-only is a pre-answer mode; after submission Aditya always explains
+function getAdityaMode() {
+    if (isReviewing) return 'explain';
+    return document.getElementById('aditya-hint-toggle')?.checked ? 'hint' : 'explain';
+}
+
+function refreshAdityaModeUI() {
+    const label = document.getElementById('aditya-mode-label');
+    const toggleLabel = document.getElementById('aditya-hint-toggle-label');
+    if (toggleLabel) toggleLabel.classList.toggle('invisible', isReviewing);
+    if (label) label.textContent = getAdityaMode() === 'hint' ? 'AI Mentor • Hints Only' : 'AI Mentor • Detailed Diagnosis';
+}
+
+function renderAdityaMessage(message) {
+    if (message.role === 'user') {
+        return `
+            <div class="flex justify-end">
+                <p class="max-w-[85%] px-4 py-2 rounded-2xl rounded-br-sm bg-indigo-600/40 text-white whitespace-pre-wrap">${escapeHtml(message.content)}</p>
+            </div>
+        `;
     }
+    return `
+        <div class="max-w-[95%] p-4 rounded-2xl rounded-bl-sm bg-white/5 border border-white/10">
+            <div class="aditya-reply">${marked.parse(message.content)}</div>
+            ${message.partial ? '<p class="text-[10px] text-gray-500 italic mt-2">(incomplete reply)</p>' : ''}
+        </div>
+    `;
+}
+
+function renderAdityaThread() {
+    const content = document.getElementById('aditya-content');
+    if (!content || !adityaChat) return;
+    content.innerHTML = adityaChat.messages.length === 0
+        ? '<p class="italic text-gray-500">Ask Aditya anything about this question...</p>'
+        : adityaChat.messages.map(renderAdityaMessage).join('');
+    content.scrollTop = content.scrollHeight;
+}
+
+function showAdityaNotice(html) {
+    const content = document.getElementById('aditya-content');
+    content.insertAdjacentHTML('beforeend', html);
+    content.scrollTop = content.scrollHeight;
+}
+
+// Explaining before an answer is picked would give the answer away
+function canExplain(question) {
+    return isReviewing || (userAnswers[question.id] || []).length > 0;
 }
 
-// --- 5. ADITYA AI LOGIC (New Integration) ---
+const SELECT_FIRST_NOTICE = `
+    <div class="p-4 bg-yellow-500/10 rounded-lg border border-yellow-500/20">
+        <p class="text-yellow-400 font-medium">"Arre dost, select an answer first! I need to know what you're thinking before I can guide you. Take a guess, full power! (Or switch on 💡 Hint only.)"</p>
+    </div>`;
+
+export function stopAditya() {
+    if (adityaController) adityaController.abort();
+}
 
 export async function askAditya() {
     const sheet = document.getElementById('aditya-sheet');
-    const content = document.getElementById('aditya-content');
     const question = currentQuestions[currentQuestionIndex];
     
     // Open Sheet
     if (sheet) sheet.classList.remove('translate-y-full');
-    
-    // Check if user has answered
-    const userSelection = userAnswers[question.id] || [];
-    
-    if (userSelection.length === 0) {
-        content.innerHTML = `
-            <div class="p-4 bg-yellow-500/10 rounded-lg border border-yellow-500/20">
-                <p class="text-yellow-400 font-medium">"Arre dost, select an answer first! I need to know what you're thinking before I can guide you. Take a guess, full power!"</p>
-            </div>`;
+
+    // Same question, reply still streaming: the live thread is already on screen
+    if (adityaChat?.questionId === question.id && adityaController) return;
+
+    if (adityaChat?.questionId !== question.id) stopAditya();
+    refreshAdityaModeUI();
+
+    try {
+        adityaChat = (await getAdityaChat(question.id)) || { questionId: question.id, messages: [] };
+    } catch (error) {
+        logError('ADITYA_CHAT_LOAD_FAIL', error, { questionId: question.id });
+        adityaChat = { questionId: question.id, messages: [] };
+    }
+    renderAdityaThread();
+
+    // A fresh thread opens with Aditya's diagnosis (or first hint)
+    if (adityaChat.messages.length === 0) {
+        await sendAdityaMessage(ADITYA_OPENERS[getAdityaMode()]);
+    }
+}
+
+async function sendAdityaMessage(text) {
+    if (!adityaChat || adityaController) return;
+    const chat = adityaChat;
+    const question = currentQuestions.find(q => q.id === chat.questionId);
+    if (!question) return;
+
+    const mode = getAdityaMode();
+    if (mode === 'explain' && !canExplain(question)) {
+        showAdityaNotice(SELECT_FIRST_NOTICE);
         return;
     }
 
-    // Prepare data for AI
-    const correctOptions = question.options.filter(o => o.is_correct).map(o => o.id);
+    const history = chat.messages.map(({ role, content }) => ({ role, content }));
+    chat.messages.push({ role: 'user', content: text, mode, at: Date.now() });
+    renderAdityaThread();
 
-    // Show Loading State
-    content.innerHTML = `
-        <div class="flex flex-col items-center justify-center space-y-3 py-6 animate-pulse">
-            <span class="text-4xl">🤔</span>
-            <p class="text-indigo-300 font-medium">Aditya is analyzing your logic... ek min...</p>
+    showAdityaNotice(`
+        <div class="max-w-[95%] p-4 rounded-2xl rounded-bl-sm bg-white/5 border border-white/10">
+            <div class="aditya-reply"><p class="text-indigo-300 animate-pulse">🤔 Aditya is thinking... ek min...</p></div>
         </div>
-    `;
+    `);
+    const content = document.getElementById('aditya-content');
+    const replyEl = content.lastElementChild.querySelector('.aditya-reply');
+
+    const controller = new AbortController();
+    adityaController = controller;
+    setAdityaStreaming(true);
+
+    // Tokens replace the placeholder as they arrive
+    const stream = createMarkdownStream(replyEl);
+    let notice = '';
 
     try {
-        // Call AI Module
-        const explanation = await generateSocraticExplanation(question, userSelection, correctOptions);
-        
-        // Render Markdown Result
-        // We assume 'marked' library is loaded globally via CDN in index.html
-        content.innerHTML = marked.parse(explanation);
-        
+        await chatWithAditya(question, {
+            userSelections: userAnswers[question.id] || [],
+            correctSelections: getCorrectSelections(question),
+            mode,
+            history,
+            message: text,
+            onToken: (chunk) => {
+                stream.append(chunk);
+                content.scrollTop = content.scrollHeight;
+            },
+            signal: controller.signal,
+        });
     } catch (e) {
-        console.error(e);
-        content.innerHTML = `<p class="text-red-400">Connection break ho gaya. Try again. (${e.message})</p>`;
+        // Keep whatever arrived before the stop/failure
+        if (controller.signal.aborted) {
+            notice = `<p class="text-xs text-gray-500 italic">⏹ Stopped.</p>`;
+        } else {
+            console.error(e);
+            const note = stream.text ? 'Stream toot gaya — partial reply kept.' : 'Connection break ho gaya. Try again.';
+            notice = `<p class="text-red-400 text-xs">${note} (${escapeHtml(e.message)})</p>`;
+        }
+    } finally {
+        if (adityaController === controller) {
+            adityaController = null;
+            setAdityaStreaming(false);
+        }
+    }
+
+    // Cleared while streaming: saving now would bring the deleted thread back
+    if (chat.discarded) return;
+
+    if (stream.text) {
+        chat.messages.push({ role: 'assistant', content: stream.text, mode, partial: Boolean(notice), at: Date.now() });
+    }
+    try {
+        await saveAdityaChat(chat);
+    } catch (error) {
+        logError('ADITYA_CHAT_SAVE_FAIL', error, { questionId: chat.questionId });
+    }
+
+    // The user may have moved to another question's thread meanwhile
+    if (adityaChat === chat) {
+        renderAdityaThread();
+        if (notice) showAdityaNotice(notice);
     }
 }
 
+export async function clearAdityaChat() {
+    if (!adityaChat || !confirm("Clear this conversation with Aditya?")) return;
+    adityaChat.discarded = true;
+    stopAditya();
+    await deleteAdityaChat(adityaChat.questionId);
+    adityaChat = { questionId: adityaChat.questionId, messages: [] };
+    renderAdityaThread();
+}
+
 export function closeAditya() {
+    stopAditya();
     const sheet = document.getElementById('aditya-sheet');
     if (sheet) sheet.classList.add('translate-y-full');
 }
 
+document.getElementById('aditya-form')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const input = document.getElementById('aditya-input');
+    const text = input.value.trim();
+    if (!text || adityaController) return;
+    input.value = '';
+    sendAdityaMessage(text);
+});
+
+document.getElementById('aditya-hint-toggle')?.addEventListener('change', refreshAdityaModeUI);
+
 
 // --- 6. Submission & Results ---
-async function submitQuiz() {
+export async function submitQuiz() {
+    if (isSubmitted) return;
+    isSubmitted = true;
+
     // Hide Aditya Button on Submit
     const adityaBtn = document.getElementById('aditya-floating-btn');
     if (adityaBtn) adityaBtn.classList.add('hidden');
     closeAditya();
+    stopExamTimer();
+    recordTimeOnCurrentQuestion();
 
     const results = currentQuestions.map(q => {
         const userSel = userAnswers[q.id] || [];
-        const { score, isCorrect, mistakes } = calculateScore(q, userSel);
+        const { score, isCorrect, attempted, partial, mistakes, correctOptions } = calculateScore(
+            q, userSel, quizContext.scheme, { partialCredit: quizContext.partialCredit }
+        );
         return {
             questionId: q.id,
             questionText: q.question_text,
+            subject: q.subject,
+            topic: q.topic,
             userSelections: userSel,
             isCorrect,
+            attempted,
             score,
+            partial,
             mistakes,
-            correctOptions: q.options.filter(o => o.is_correct).map(o => o.id)
+            timeSpentMs: questionTimings[q.id] || 0,
+            correctOptions
         };
     });
 
-    const summary = aggregateQuizResults(results);
+    const summary = aggregateQuizResults(results, quizContext);
+
+    // Persist the attempt for the History dashboard (never block the results screen on it)
+    try {
+        summary.id = await saveQuizResult(summary);
+    } catch (error) {
+        logError('QUIZ_RESULT_SAVE_FAIL', error, { subject: summary.subject });
+    }
+
+    try {
+        await updateReviewQueue(results);
+        refreshReviewBadge();
+    } catch (error) {
+        logError('REVIEW_QUEUE_UPDATE_FAIL', error);
+    }
+
+    lastSubmission = { summary, results };
     showResultsModal(summary, results);
 }
 
 function showResultsModal(summary, detailedResults) {
     const resultsContent = document.getElementById('results-content');
     
-    const percentage = Math.round((summary.score / summary.totalQuestions) * 100);
+    const percentage = summary.accuracy;
     let message = percentage > 80 ? "Excellent!" : (percentage > 50 ? "Good Effort" : "Keep Practicing");
 
     resultsContent.innerHTML = `
         <div class="text-center">
-            <h3 class="text-2xl font-bold ${percentage > 50 ? 'text-green-400' : 'text-orange-400'}">${message}</h3>
-            <p class="text-5xl font-extrabold my-6 text-white">${summary.score} <span class="text-xl text-gray-400">/ ${summary.totalQuestions}</span></p>
-            <p class="text-gray-400 mb-8">Accuracy: ${percentage}%</p>
+            ${summary.mode === 'exam' ? renderExamSummary(summary) : `
+                <h3 class="text-2xl font-bold ${percentage > 50 ? 'text-green-400' : 'text-orange-400'}">${message}</h3>
+                <p class="text-5xl font-extrabold my-6 text-white">${summary.score} <span class="text-xl text-gray-400">/ ${summary.maxScore}</span></p>
+                <p class="text-gray-400 mb-8">Accuracy: ${percentage}%</p>
+            `}
+
+            <button onclick="openAnswerReview()" class="w-full py-3 mb-3 bg-indigo-500/20 hover:bg-indigo-500/30 border border-indigo-500/30 rounded-xl text-sm font-semibold transition">
+                🔍 Review Answers & Explanations
+            </button>
+
+            <button onclick="openHistory()" class="w-full py-3 mb-3 bg-white/10 hover:bg-white/20 border border-white/10 rounded-xl text-sm transition">
+                📈 View Performance History
+            </button>
             
             <button onclick="exitQuiz()" class="w-full py-4 bg-gradient-to-r from-indigo-600 to-purple-600 text-white rounded-xl font-bold shadow-lg hover:scale-105 transition transform">
                 Back to Dashboard
@@ -238,9 +901,42 @@ function showResultsModal(summary, detailedResults) {
     showModal('results-content');
 }
 
+// Prelims-style scorecard: net score after negative marking + cutoff benchmark
+function renderExamSummary(summary) {
+    const cutoff = estimateCutoffComparison(summary.score, summary.maxScore);
+    return `
+        <h3 class="text-2xl font-bold ${cutoff.cleared ? 'text-green-400' : 'text-orange-400'}">${cutoff.cleared ? 'Above Cutoff! 🎯' : 'Below Cutoff'}</h3>
+        <p class="text-5xl font-extrabold my-4 text-white">${summary.score} <span class="text-xl text-gray-400">/ ${summary.maxScore}</span></p>
+        <p class="text-xs text-gray-400 mb-4">Net score after −${summary.negativeMarks} negative marks</p>
+
+        <div class="grid grid-cols-2 gap-2 text-sm mb-4">
+            <div class="p-2 bg-white/5 rounded-lg"><b class="text-white">${summary.attemptedCount}</b><span class="block text-[10px] text-gray-400">Attempted</span></div>
+            <div class="p-2 bg-white/5 rounded-lg"><b class="text-white">${summary.attemptAccuracy}%</b><span class="block text-[10px] text-gray-400">Accuracy (attempted)</span></div>
+            <div class="p-2 bg-green-500/10 rounded-lg"><b class="text-green-400">${summary.correctCount}</b><span class="block text-[10px] text-gray-400">Correct</span></div>
+            <div class="p-2 bg-red-500/10 rounded-lg"><b class="text-red-400">${summary.wrongCount}</b><span class="block text-[10px] text-gray-400">Wrong</span></div>
+            <div class="p-2 bg-white/5 rounded-lg col-span-2"><b class="text-gray-300">${summary.unattemptedCount}</b><span class="block text-[10px] text-gray-400">Unattempted (no penalty)</span></div>
+        </div>
+
+        <div class="p-3 mb-6 rounded-xl border ${cutoff.cleared ? 'border-green-500/30 bg-green-500/5' : 'border-orange-500/30 bg-orange-500/5'} text-left">
+            <p class="text-sm">Estimated cutoff: <b>${cutoff.estimatedCutoff}</b> / ${summary.maxScore}
+                <span class="${cutoff.margin >= 0 ? 'text-green-400' : 'text-red-400'}">(${cutoff.margin >= 0 ? '+' : ''}${cutoff.margin})</span></p>
+            <p class="text-[10px] text-gray-400 mt-1">${cutoff.basis}, scaled to this ${summary.totalQuestions}-question paper.</p>
+        </div>
+    `;
+}
+
 // Export for global usage (HTML onclicks)
 window.startNewQuiz = startNewQuiz;
+window.startReviewQuiz = startReviewQuiz;
+window.startExam = startExam;
+window.goToQuestion = goToQuestion;
+window.openAnswerReview = openAnswerReview;
+window.submitQuiz = submitQuiz;
 window.askAditya = askAditya;
 window.closeAditya = closeAditya;
+window.stopAditya = stopAditya;
+window.clearAdityaChat = clearAdityaChat;
 window.exitQuiz = exitQuiz;
 
+
+document.addEventListener('DOMContentLoaded', refreshReviewBadge);
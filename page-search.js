@@ -0,0 +1,209 @@
+// page-search.js - Search-as-you-type over the question bank and notes (Filters, Paging & "Practice This")
+
+import { fullTextSearchQuestions, searchNotes } from './db.js';
+import { logError } from './core.js';
+import { escapeHtml, highlightTerms, markdownExcerpt } from './ui-common.js';
+import { startNewQuiz } from './page-quiz.js';
+import { searchMyNotes } from './page-notes.js';
+
+const searchInput = document.getElementById('search-input');
+const resultsList = document.getElementById('search-results-list');
+
+const DEBOUNCE_MS = 250;
+const PAGE_SIZE = 10;
+const NOTE_HITS_SHOWN = 3; // The rest are one click away in My Notes
+
+// --- Search State ---
+let currentQuery = '';
+let currentFilters = { subject: '', topic: '', type: '' };
+let currentPage = 0;
+let lastResponse = null;
+let lastNoteHits = null; // { items, total } for the current query (paging/filters only affect questions)
+let selectedQuestions = new Map(); // Map: { questionId: question } (survives paging, not a new query or filter)
+let debounceTimer = null;
+let requestSeq = 0; // Drops out-of-order responses when typing fast
+
+// --- 1. Query Execution ---
+async function runSearch() {
+    if (!resultsList) return;
+
+    if (!currentQuery) {
+        resultsList.innerHTML = '';
+        lastResponse = null;
+        lastNoteHits = null;
+        return;
+    }
+
+    const seq = ++requestSeq;
+    try {
+        const [response, noteHits] = await Promise.all([
+            fullTextSearchQuestions(currentQuery, {
+                filters: currentFilters,
+                page: currentPage,
+                pageSize: PAGE_SIZE,
+            }),
+            lastNoteHits?.query === currentQuery
+                ? lastNoteHits
+                : searchNotes({ query: currentQuery, limit: NOTE_HITS_SHOWN }).then(hits => ({ ...hits, query: currentQuery })),
+        ]);
+        if (seq !== requestSeq) return; // A newer query is already in flight
+
+        lastResponse = response;
+        lastNoteHits = noteHits;
+        renderResults(response);
+    } catch (error) {
+        logError('SEARCH_UI_FAIL', error, { query: currentQuery });
+        resultsList.innerHTML = '<p class="text-red-500 text-sm">Search failed. Please try again.</p>';
+    }
+}
+
+// New query or filters: start from page 1, and drop picks that may no longer be in the results
+function resetAndSearch() {
+    currentPage = 0;
+    selectedQuestions = new Map();
+    runSearch();
+}
+
+// --- 2. Rendering ---
+function renderFilterSelect(name, label, values) {
+    const current = currentFilters[name];
+    return `
+        <select data-filter="${name}" class="p-2 rounded-lg glass-input text-xs flex-1 min-w-0">
+            <option value="">All ${label}</option>
+            ${values.map(v => `<option value="${escapeHtml(v)}" ${v === current ? 'selected' : ''}>${escapeHtml(v)}</option>`).join('')}
+        </select>
+    `;
+}
+
+function renderNoteHits() {
+    if (!lastNoteHits?.total) return '';
+    return `
+        <div class="mb-5">
+            <div class="flex justify-between items-center mb-2">
+                <h3 class="text-sm font-semibold text-indigo-300 uppercase tracking-wider">📝 In Your Notes</h3>
+                <span class="text-xs text-gray-400">${lastNoteHits.total} match${lastNoteHits.total === 1 ? '' : 'es'}</span>
+            </div>
+            <ul class="space-y-2">
+                ${lastNoteHits.items.map(note => `
+                    <li>
+                        <button onclick="window.editNote(${note.id})" class="w-full text-left p-3 bg-white/5 hover:bg-white/10 rounded-xl border border-white/10 transition">
+                            <p class="text-sm font-semibold">${highlightTerms(note.title, currentQuery)}</p>
+                            <p class="text-xs text-gray-400 mt-1">${highlightTerms(markdownExcerpt(note.content, 120), currentQuery)}</p>
+                        </button>
+                    </li>
+                `).join('')}
+            </ul>
+            ${lastNoteHits.total > lastNoteHits.items.length ? `<button data-action="all-notes" class="mt-2 text-xs text-indigo-300 hover:underline">See all ${lastNoteHits.total} in My Notes →</button>` : ''}
+        </div>
+    `;
+}
+
+function renderResults({ items, total, page, pageSize, facets }) {
+    const totalPages = Math.max(1, Math.ceil(total / pageSize));
+
+    resultsList.innerHTML = `
+        ${renderNoteHits()}
+
+        <div class="flex justify-between items-center mb-3">
+            <h3 class="text-sm font-semibold text-indigo-300 uppercase tracking-wider">❓ Questions</h3>
+            <span class="text-xs text-gray-400">${total} match${total === 1 ? '' : 'es'}</span>
+        </div>
+
+        <div class="flex gap-2 mb-4">
+            ${renderFilterSelect('subject', 'Subjects', facets.subjects)}
+            ${renderFilterSelect('topic', 'Topics', facets.topics)}
+            ${renderFilterSelect('type', 'Types', facets.types)}
+        </div>
+
+        <ul class="space-y-2">
+            ${items.map(q => `
+                <li class="p-3 bg-white/5 rounded-xl border border-white/10 flex gap-3">
+                    <input type="checkbox" data-select-id="${escapeHtml(q.id)}" class="mt-1 accent-indigo-500" ${selectedQuestions.has(q.id) ? 'checked' : ''}>
+                    <div class="flex-1 min-w-0">
+                        <p class="text-[10px] text-gray-400 mb-1">${escapeHtml(q.subject)} • ${escapeHtml(q.topic)}${q.type ? ` • ${escapeHtml(q.type)}` : ''}</p>
+                        <p class="text-sm leading-relaxed">${highlightTerms(q.question_text || 'Consider the following statements:', currentQuery)}</p>
+                        ${q.explanation?.summary ? `<p class="text-xs text-gray-400 mt-1">${highlightTerms(q.explanation.summary, currentQuery)}</p>` : ''}
+                        <button data-action="practice-one" data-id="${escapeHtml(q.id)}" class="mt-2 text-xs text-indigo-300 hover:underline">▶ Practice this question</button>
+                    </div>
+                </li>
+            `).join('') || '<p class="text-gray-500 text-sm italic">No questions match these filters.</p>'}
+        </ul>
+
+        <div class="flex justify-between items-center mt-4 text-xs">
+            <button data-action="page-prev" class="px-3 py-1 bg-white/10 rounded-lg disabled:opacity-30" ${page === 0 ? 'disabled' : ''}>← Prev</button>
+            <span class="text-gray-400">Page ${page + 1} of ${totalPages}</span>
+            <button data-action="page-next" class="px-3 py-1 bg-white/10 rounded-lg disabled:opacity-30" ${page + 1 >= totalPages ? 'disabled' : ''}>Next →</button>
+        </div>
+
+        <button data-action="practice-selected" class="w-full mt-4 py-3 bg-indigo-600 hover:bg-indigo-500 rounded-xl font-bold text-sm disabled:opacity-40" ${selectedQuestions.size === 0 ? 'disabled' : ''}>
+            🚀 Practice Selected (${selectedQuestions.size})
+        </button>
+    `;
+}
+
+// --- 3. Practice Launchers ---
+function practiceQuestions(questions) {
+    if (questions.length === 0) return;
+    const label = currentQuery;
+    selectedQuestions = new Map();
+    startNewQuiz('Search', label, { questions, mode: 'search' });
+}
+
+// --- 4. Event Wiring ---
+if (searchInput && resultsList) {
+    searchInput.addEventListener('input', () => {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(() => {
+            currentQuery = searchInput.value.trim();
+            currentFilters = { subject: '', topic: '', type: '' };
+            resetAndSearch();
+        }, DEBOUNCE_MS);
+    });
+
+    resultsList.addEventListener('change', (e) => {
+        const filterSelect = e.target.closest('select[data-filter]');
+        if (filterSelect) {
+            currentFilters[filterSelect.dataset.filter] = filterSelect.value;
+            // A topic from another subject would filter everything out
+            if (filterSelect.dataset.filter === 'subject') currentFilters.topic = '';
+            resetAndSearch();
+            return;
+        }
+
+        const checkbox = e.target.closest('input[data-select-id]');
+        if (checkbox && lastResponse) {
+            const question = lastResponse.items.find(q => String(q.id) === checkbox.dataset.selectId);
+            if (!question) return;
+            if (checkbox.checked) selectedQuestions.set(question.id, question);
+            else selectedQuestions.delete(question.id);
+            renderResults(lastResponse);
+        }
+    });
+
+    resultsList.addEventListener('click', (e) => {
+        const actionBtn = e.target.closest('button[data-action]');
+        if (!actionBtn || !lastResponse) return;
+
+        switch (actionBtn.dataset.action) {
+            case 'page-prev':
+                currentPage = Math.max(0, currentPage - 1);
+                runSearch();
+                break;
+            case 'page-next':
+                currentPage++;
+                runSearch();
+                break;
+            case 'practice-one': {
+                const question = lastResponse.items.find(q => String(q.id) === actionBtn.dataset.id);
+                if (question) practiceQuestions([question]);
+                break;
+            }
+            case 'practice-selected':
+                practiceQuestions([...selectedQuestions.values()]);
+                break;
+            case 'all-notes':
+                searchMyNotes(currentQuery);
+                break;
+        }
+    });
+}
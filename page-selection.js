@@ -1,16 +1,40 @@
 // page-selection.js - Full Functionality (Settings, Remix, Static, Current Affairs & News Scanner)
 
-import { startNewQuiz } from './page-quiz.js';
-import { fetchInitialQuestions, APP_CONFIG } from './core.js';
-import { getSetting, addQuestions } from './db.js'; 
-import { hideModal } from './ui-common.js'; 
+import { startNewQuiz, startExam } from './page-quiz.js';
+import { fetchInitialQuestions, APP_CONFIG, CURRENT_AFFAIRS_SUBJECT, currentAffairsTopic, logError } from './core.js';
+import { getSetting, setSetting, addQuestions, quarantineQuestions, getQuestionsByIds, getQuestions } from './db.js'; 
+import { refreshCurrentAffairsCard } from './page-current-affairs.js';
+import { enqueueAiJob, registerAiJobType, shouldQueueAiJob } from './ai-queue.js';
+import { showModal, hideModal, escapeHtml, createMarkdownStream, describeAIError } from './ui-common.js'; 
+
+let newsController = null; // AbortController of the in-flight News Scanner stream
+
+// Shows only the fields of the chosen AI provider
+function toggleProviderSections(provider) {
+    document.getElementById('gemini-settings')?.classList.toggle('hidden', provider !== 'gemini');
+    document.getElementById('openai-settings')?.classList.toggle('hidden', provider !== 'openai-compatible');
+}
 
-// 1. Pre-fill API Key (Quietly)
+// 1. Pre-fill AI Settings (Quietly)
 (async function init() {
     try {
         const existingKey = await getSetting(APP_CONFIG.GEMINI_API_KEY_NAME);
         const input = document.getElementById('api-key-input');
         if (input && existingKey) input.value = existingKey;
+
+        const providerConfig = (await getSetting(APP_CONFIG.AI_PROVIDER_CONFIG_KEY)) || {};
+        const providerSelect = document.getElementById('ai-provider-select');
+        if (providerSelect) {
+            providerSelect.value = providerConfig.provider || 'gemini';
+            toggleProviderSections(providerSelect.value);
+        }
+        const openai = providerConfig.openai || {};
+        if (openai.baseUrl) document.getElementById('openai-base-url-input').value = openai.baseUrl;
+        if (openai.model) document.getElementById('openai-model-input').value = openai.model;
+        if (openai.apiKey) document.getElementById('openai-api-key-input').value = openai.apiKey;
+
+        const partialToggle = document.getElementById('partial-credit-toggle');
+        if (partialToggle) partialToggle.checked = (await getSetting(APP_CONFIG.PARTIAL_CREDIT_KEY)) === true;
     } catch (e) {
         console.warn("Settings init error:", e);
     }
@@ -27,11 +51,21 @@ document.addEventListener('click', async (e) => {
         const apiKeyInput = document.getElementById('api-key-input');
         const settingsStatus = document.getElementById('settings-status');
         const apiKey = apiKeyInput.value.trim();
-
-        if (!apiKey) {
+        const provider = document.getElementById('ai-provider-select').value;
+        const openai = {
+            baseUrl: document.getElementById('openai-base-url-input').value.trim(),
+            model: document.getElementById('openai-model-input').value.trim(),
+            apiKey: document.getElementById('openai-api-key-input').value.trim(),
+        };
+
+        if (provider === 'gemini' && !apiKey) {
             settingsStatus.textContent = "Please enter an API key.";
             return;
         }
+        if (provider === 'openai-compatible' && !openai.baseUrl) {
+            settingsStatus.textContent = "Please enter the server URL.";
+            return;
+        }
 
         settingsBtn.disabled = true;
         settingsBtn.textContent = "Loading...";
@@ -43,11 +77,12 @@ document.addEventListener('click', async (e) => {
             const aiModule = await import('./ai.js');
             
             settingsBtn.textContent = "Verifying...";
-            const result = await aiModule.saveApiKey(apiKey); 
+            const result = await aiModule.saveProviderSettings({ provider, geminiApiKey: apiKey, openai }); 
 
             if (result.success) {
                 settingsStatus.textContent = `Connected! Model: ${result.model}`;
                 settingsStatus.className = "text-xs mb-3 text-green-400 font-bold";
+                await renderModelStatus();
                 setTimeout(() => {
                     hideModal();
                     settingsBtn.disabled = false;
@@ -66,6 +101,22 @@ document.addEventListener('click', async (e) => {
         return; 
     }
 
+    // --- A2. RE-DISCOVER MODELS ---
+    const refreshModelsBtn = e.target.closest('[data-action="refresh-models"]');
+    if (refreshModelsBtn) {
+        refreshModelsBtn.disabled = true;
+        refreshModelsBtn.textContent = "Discovering...";
+        try {
+            const aiModule = await import('./ai.js');
+            const result = await aiModule.initializeGenerativeModel({ force: true });
+            if (!result.success) throw new Error(result.error);
+        } catch (error) {
+            alert("Model discovery failed: " + error.message);
+        }
+        await renderModelStatus();
+        return;
+    }
+
     // --- B. AI REMIX BUTTON ---
     const remixBtn = e.target.closest('#remix-quiz-btn');
     if (remixBtn) {
@@ -74,26 +125,27 @@ document.addEventListener('click', async (e) => {
 
         if (!topic) { alert("Enter a topic."); return; }
 
+        const queueLabel = `AI Remix: ${topic} (${count} Qs)`;
+        if (!navigator.onLine) {
+            await queueInstead('remix', { topic, count }, queueLabel);
+            return;
+        }
+
         remixBtn.disabled = true;
         remixBtn.textContent = "Generating...";
 
         try {
-            const aiModule = await import('./ai.js');
-            const existingQuestions = await fetchInitialQuestions();
-            const exampleSchema = existingQuestions.slice(0, 1); 
-
-            const newQuestions = await aiModule.generateRemixQuiz(
-                { subject: "Remixed", topic: topic }, 
-                exampleSchema, 
-                count
-            );
-            
-            await addQuestions(newQuestions); 
+            const accepted = await generateRemix({ topic, count });
             hideModal();
-            startNewQuiz("Remixed", topic);
+            startNewQuiz("Remixed", topic, { questions: accepted });
 
         } catch (error) {
-            alert(`AI Failed: ${error.message}`);
+            if (shouldQueueAiJob(error)) {
+                await queueInstead('remix', { topic, count }, queueLabel);
+                return;
+            }
+            logError('AI_REMIX_FAIL', error, { code: error.code, errors: error.errors, raw: error.raw });
+            alert(`AI Failed: ${describeAIError(error)}`);
         } finally {
             remixBtn.disabled = false;
             remixBtn.textContent = '✨ AI Generate';
@@ -109,14 +161,39 @@ document.addEventListener('click', async (e) => {
         return;
     }
 
+    // --- C2. TIMED PRELIMS EXAM ---
+    const examBtn = e.target.closest('#start-exam-btn');
+    if (examBtn) {
+        const count = parseInt(document.getElementById('exam-count-input').value);
+        const minutes = parseInt(document.getElementById('exam-minutes-input').value);
+
+        if (!(count > 0) || !(minutes > 0)) { alert("Enter a valid question count and time limit."); return; }
+
+        hideModal();
+        startExam({ count, minutes });
+        return;
+    }
+
     // --- D. DAILY CURRENT AFFAIRS GENERATOR ---
-    const caBtn = e.target.closest('#generate-ca-btn');
-    if (caBtn) {
+    // One set per day: once today's exists the main button attempts it; the "anyway" button forces a new one
+    const caTrigger = e.target.closest('#generate-ca-btn, #generate-ca-force-btn');
+    if (caTrigger) {
+        const caBtn = document.getElementById('generate-ca-btn');
+        const forceBtn = document.getElementById('generate-ca-force-btn');
         if (caBtn.disabled) return;
+        const dateTopic = currentAffairsTopic();
+
+        if (caTrigger !== forceBtn) {
+            const todays = await getQuestions(CURRENT_AFFAIRS_SUBJECT, dateTopic);
+            if (todays.length > 0) {
+                startNewQuiz(CURRENT_AFFAIRS_SUBJECT, dateTopic, { questions: todays });
+                return;
+            }
+        }
 
         // UI Feedback
         caBtn.disabled = true;
-        const originalText = caBtn.innerHTML;
+        if (forceBtn) forceBtn.disabled = true;
         caBtn.innerHTML = `<span class="animate-spin">⚙️</span> Analyzing News...`;
 
         try {
@@ -125,31 +202,30 @@ document.addEventListener('click', async (e) => {
             const schema = existingQuestions[0]; 
 
             caBtn.innerHTML = `<span class="animate-spin">🧠</span> Drafting Questions...`;
-            const newQuestions = await aiModule.generateCurrentAffairsQuiz(schema);
-
-            const dateTopic = new Date().toLocaleDateString('en-GB'); 
-            const taggedQuestions = newQuestions.map(q => ({
-                ...q,
-                subject: "Current Affairs", 
+            const generation = await aiModule.generateCurrentAffairsQuiz(schema, {
+                subject: CURRENT_AFFAIRS_SUBJECT, 
                 topic: dateTopic 
-            }));
+            });
 
-            await addQuestions(taggedQuestions);
+            const accepted = await storeGeneratedQuestions(generation, { silent: true });
 
             const userWantsToPlay = confirm(
-                `Success! Generated 5 CA Questions for ${dateTopic}.\n\nDo you want to attempt them right now?`
+                `Success! Generated ${accepted.length} CA Questions for ${dateTopic}.` +
+                `${generation.rejected.length ? `\n(${generation.rejected.length} malformed question(s) quarantined.)` : ''}` +
+                `\n\nDo you want to attempt them right now?`
             );
 
             if (userWantsToPlay) {
-                startNewQuiz("Current Affairs", dateTopic);
+                startNewQuiz(CURRENT_AFFAIRS_SUBJECT, dateTopic, { questions: accepted });
             }
 
         } catch (error) {
-            console.error(error);
-            alert(`Generation Failed: ${error.message}`);
+            logError('AI_CA_FAIL', error, { code: error.code, errors: error.errors, raw: error.raw });
+            alert(`Generation Failed: ${describeAIError(error)}`);
         } finally {
             caBtn.disabled = false;
-            caBtn.innerHTML = originalText;
+            if (forceBtn) forceBtn.disabled = false;
+            await refreshCurrentAffairsCard();
         }
         return;
     }
@@ -164,43 +240,214 @@ document.addEventListener('click', async (e) => {
 
         if (newsBtn.disabled) return;
 
+        const queueLabel = `News Scanner: ${text.slice(0, 40)}${text.length > 40 ? '…' : ''}`;
+        if (!navigator.onLine) {
+            await queueInstead('news-analysis', { text }, queueLabel);
+            return;
+        }
+
         // 1. UI Loading State
         newsBtn.disabled = true;
         const originalText = newsBtn.innerHTML;
         newsBtn.innerHTML = `<span class="animate-spin">⏳</span> Reading...`;
 
+        const stopBtn = document.getElementById('stop-news-btn');
+        const resultCard = document.getElementById('news-result-card');
+        const contentDiv = document.getElementById('news-analysis-content');
+        const stream = createMarkdownStream(contentDiv);
+        const controller = new AbortController();
+        newsController = controller;
+
         try {
             const aiModule = await import('./ai.js');
             
-            // 2. Call AI
+            // 2. Stream AI output straight into the result card
             newsBtn.innerHTML = `<span class="animate-spin">🤔</span> Analyzing...`;
-            const analysisMarkdown = await aiModule.generateNewsAnalysis(text);
-
-            // 3. Render Result
-            const resultCard = document.getElementById('news-result-card');
-            const contentDiv = document.getElementById('news-analysis-content');
-            
-            // Render HTML using marked (Global variable)
-            contentDiv.innerHTML = marked.parse(analysisMarkdown);
-            
-            // 4. Show & Slide
+            stopBtn.classList.remove('hidden');
+            contentDiv.innerHTML = `<p class="text-indigo-300 animate-pulse">Aditya is reading... ek min...</p>`;
             resultCard.classList.remove('hidden');
             resultCard.scrollIntoView({ behavior: 'smooth', block: 'center' });
 
+            await aiModule.generateNewsAnalysis(text, {
+                onToken: (chunk) => stream.append(chunk),
+                signal: controller.signal,
+            });
+            stream.flush();
+
         } catch (error) {
-            console.error(error);
-            alert(`Analysis Failed: ${error.message}`);
+            // Keep the partial analysis; only a failure with nothing to show is an alert
+            if (stream.text) stream.flush();
+            if (controller.signal.aborted) {
+                contentDiv.insertAdjacentHTML('beforeend', `<p class="text-xs text-gray-500 italic">⏹ Stopped.</p>`);
+            } else if (stream.text) {
+                contentDiv.insertAdjacentHTML('beforeend', `<p class="text-xs text-red-400">Stream interrupted: ${escapeHtml(error.message)}</p>`);
+            } else if (shouldQueueAiJob(error)) {
+                resultCard.classList.add('hidden');
+                await queueInstead('news-analysis', { text }, queueLabel);
+            } else {
+                console.error(error);
+                resultCard.classList.add('hidden');
+                alert(`Analysis Failed: ${error.message}`);
+            }
         } finally {
+            newsController = null;
+            stopBtn.classList.add('hidden');
             newsBtn.disabled = false;
             newsBtn.innerHTML = originalText;
         }
         return;
     }
+
+    // --- E2. STOP NEWS SCANNER ---
+    if (e.target.closest('#stop-news-btn')) {
+        if (newsController) newsController.abort();
+        return;
+    }
 });
 
-// --- 3. HELPER FUNCTIONS (Exposed for HTML onclick events) ---
+// Settings toggles that save immediately
+document.addEventListener('change', async (e) => {
+    if (e.target.id === 'partial-credit-toggle') {
+        await setSetting(APP_CONFIG.PARTIAL_CREDIT_KEY, e.target.checked);
+    }
+    if (e.target.id === 'ai-provider-select') {
+        toggleProviderSections(e.target.value);
+    }
+});
+
+// --- 3. HELPER FUNCTIONS ---
+
+// Offline / rate-limited: park the request in the AI queue (📥) instead of failing
+async function queueInstead(type, payload, label) {
+    try {
+        await enqueueAiJob(type, payload, label);
+        alert(`📥 AI is unreachable right now, so "${label}" was queued.\nIt will run automatically when the connection is back.`);
+    } catch (error) {
+        logError('AI_QUEUE_ADD_FAIL', error, { type });
+        alert("AI is unreachable and the request could not be queued. Try again later.");
+    }
+}
+
+// Generates, stores and returns the accepted questions (also run from the AI queue)
+async function generateRemix({ topic, count }, { silent = false } = {}) {
+    const aiModule = await import('./ai.js');
+    const existingQuestions = await fetchInitialQuestions();
+    const exampleSchema = existingQuestions.slice(0, 1); 
+
+    const generation = await aiModule.generateRemixQuiz(
+        { subject: "Remixed", topic: topic }, 
+        exampleSchema, 
+        count
+    );
+    return await storeGeneratedQuestions(generation, { silent });
+}
+
+const AI_FEATURE_LABELS = {
+    aditya: 'Ask Aditya',
+    remix: 'AI Remix',
+    'current-affairs': 'Current Affairs',
+    'news-scanner': 'News Scanner',
+    'mains-grader': 'Mains Grader',
+    'vision-notes': 'Diagram Notes',
+    'note-flashcards': 'Note Flashcards',
+};
+
+// Settings view: cached model discovery + which model last served each feature.
+// Reads settings directly so opening Settings doesn't load the AI SDK.
+async function renderModelStatus() {
+    const container = document.getElementById('ai-model-status');
+    if (!container) return;
+
+    try {
+        const cache = await getSetting(APP_CONFIG.AI_MODEL_CACHE_KEY);
+        const usage = (await getSetting(APP_CONFIG.AI_MODEL_USAGE_KEY)) || {};
+        const usageEntries = Object.entries(usage).sort((a, b) => b[1].at - a[1].at);
+
+        container.innerHTML = `
+            <div class="flex justify-between items-center mb-2">
+                <h4 class="text-xs font-semibold text-indigo-300 uppercase tracking-wider">Models</h4>
+                <button data-action="refresh-models" class="text-[10px] text-indigo-300 hover:underline">↻ Re-discover</button>
+            </div>
+            ${cache?.models?.length ? `
+                <ul class="space-y-1 mb-2">
+                    ${cache.models.map(m => `
+                        <li class="flex justify-between text-[11px] ${m.name === cache.activeModel ? 'text-green-400 font-bold' : 'text-gray-400'}">
+                            <span>${m.name === cache.activeModel ? '● ' : ''}${escapeHtml(m.name)}</span>
+                            <span>${['vision', 'thinking', 'json'].filter(c => m.capabilities?.[c]).join(' · ')}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+                <p class="text-[10px] text-gray-500 mb-3">Discovered ${new Date(cache.discoveredAt).toLocaleString()} • refreshes after ${new Date(cache.expiresAt).toLocaleString()}</p>
+            ` : '<p class="text-[11px] text-gray-500 italic mb-3">No models discovered yet. Connect AI first.</p>'}
+            <h4 class="text-xs font-semibold text-indigo-300 uppercase tracking-wider mb-2">Last served by</h4>
+            ${usageEntries.length ? `
+                <ul class="space-y-1">
+                    ${usageEntries.map(([feature, u]) => `
+                        <li class="flex justify-between text-[11px]">
+                            <span class="text-gray-300">${escapeHtml(AI_FEATURE_LABELS[feature] || feature)}</span>
+                            <span class="text-gray-400" title="${new Date(u.at).toLocaleString()}">${escapeHtml(u.model || '—')}${u.fallbacks ? ` <span class="text-orange-400">(fallback ×${u.fallbacks})</span>` : ''}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : '<p class="text-[11px] text-gray-500 italic">No AI features used yet.</p>'}
+        `;
+    } catch (error) {
+        console.warn("Model status render error:", error);
+    }
+}
+
+// Saves the valid part of an AI generation, quarantines the rest, and tells the user what happened
+async function storeGeneratedQuestions({ accepted, rejected, repairs, provenance }, { silent = false } = {}) {
+    if (rejected.length > 0) await quarantineQuestions(rejected, provenance);
+
+    if (accepted.length === 0) {
+        throw new Error(`AI returned no usable questions. ${rejected.length} item(s) quarantined — see 📦 Question Bank.`);
+    }
+
+    await addQuestions(accepted);
+    console.log(`[AI] Stored ${accepted.length} questions (${repairs.length} repaired, ${rejected.length} quarantined) from ${provenance.model}.`);
+
+    if (!silent && rejected.length > 0) {
+        alert(`${accepted.length} question(s) ready. ${rejected.length} malformed question(s) were quarantined — see 📦 Question Bank.`);
+    }
+    return accepted;
+}
+
+// --- 3a. QUEUED AI JOBS (see ai-queue.js) ---
+registerAiJobType('remix', {
+    run: async ({ topic, count }) => {
+        const accepted = await generateRemix({ topic, count }, { silent: true });
+        return { topic, questionIds: accepted.map(q => q.id) };
+    },
+    open: async (job) => {
+        const questions = await getQuestionsByIds(job.result.questionIds);
+        startNewQuiz("Remixed", job.result.topic, { questions });
+    },
+});
+
+registerAiJobType('news-analysis', {
+    run: async ({ text }) => {
+        const aiModule = await import('./ai.js');
+        return { markdown: await aiModule.generateNewsAnalysis(text) };
+    },
+    open: (job) => {
+        const resultCard = document.getElementById('news-result-card');
+        document.getElementById('news-input').value = job.payload.text;
+        document.getElementById('news-analysis-content').innerHTML = marked.parse(job.result.markdown);
+        resultCard.classList.remove('hidden');
+        resultCard.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    },
+});
+
+// --- 3b. WINDOW HELPERS (Exposed for HTML onclick events) ---
+
+window.openSettings = function() {
+    showModal('settings-content');
+    renderModelStatus();
+};
 
 window.closeNewsResult = function() {
+    if (newsController) newsController.abort();
     const card = document.getElementById('news-result-card');
     if (card) card.classList.add('hidden');
 }
@@ -0,0 +1,110 @@
+// precache-manifest.js - GENERATED by tools/build-precache-manifest.mjs. Do not edit by hand.
+self.__PRECACHE_MANIFEST = {
+    "version": "05d62f04b038",
+    "entries": [
+        {
+            "url": "./ai-providers.js",
+            "revision": "8f096e0edc73"
+        },
+        {
+            "url": "./ai-queue.js",
+            "revision": "47cc524d5507"
+        },
+        {
+            "url": "./ai.js",
+            "revision": "75ff7be010a4"
+        },
+        {
+            "url": "./core.js",
+            "revision": "90c07eb967c1"
+        },
+        {
+            "url": "./db.js",
+            "revision": "98b6b3eae181"
+        },
+        {
+            "url": "./favicon.ico",
+            "revision": "90474cf6bab6"
+        },
+        {
+            "url": "./index.html",
+            "revision": "93e4f4b26b81"
+        },
+        {
+            "url": "./manifest.json",
+            "revision": "98670ef3a49f"
+        },
+        {
+            "url": "./offline.html",
+            "revision": "2076b3fbf66b"
+        },
+        {
+            "url": "./page-backup.js",
+            "revision": "a452f146aaeb"
+        },
+        {
+            "url": "./page-bank.js",
+            "revision": "6692ae84e9fb"
+        },
+        {
+            "url": "./page-current-affairs.js",
+            "revision": "1c39cf3b0376"
+        },
+        {
+            "url": "./page-flashcards.js",
+            "revision": "e65f75da527b"
+        },
+        {
+            "url": "./page-grader.js",
+            "revision": "da617a1ad2bb"
+        },
+        {
+            "url": "./page-history.js",
+            "revision": "13d94c6e0760"
+        },
+        {
+            "url": "./page-notes.js",
+            "revision": "ece1988d8b68"
+        },
+        {
+            "url": "./page-queue.js",
+            "revision": "7e5f0a1837d6"
+        },
+        {
+            "url": "./page-quiz.js",
+            "revision": "589a285872cb"
+        },
+        {
+            "url": "./page-search.js",
+            "revision": "28b0b04d419a"
+        },
+        {
+            "url": "./page-selection.js",
+            "revision": "53524bd36554"
+        },
+        {
+            "url": "./schema.js",
+            "revision": "822aca6917cb"
+        },
+        {
+            "url": "./ui-common.js",
+            "revision": "03d5144b6511"
+        },
+        {
+            "url": "https://cdn.tailwindcss.com/3.4.5",
+            "revision": null
+        },
+        {
+            "url": "https://unpkg.com/dexie@3.2.7/dist/dexie.js",
+            "revision": null
+        },
+        {
+            "url": "https://unpkg.com/flexsearch@0.7.3/dist/flexsearch.compact.js",
+            "revision": null
+        },
+        {
+            "url": "https://cdn.jsdelivr.net/npm/marked@12.0.2/marked.min.js",
+            "revision": null
+        }
+    ]
+};
@@ -0,0 +1,820 @@
+// schema.js - Question & Record Schemas, Validation & Pack (De)serialisation (JSON + CSV)
+
+// --- 1. The Question Schema ---
+// Mirrors data/initial_questions.json. Anything entering the bank must pass validateQuestion().
+export const QUESTION_TYPES = ['single-choice', 'multi-choice', 'multi-select', 'statement-based'];
+
+export const QUESTION_SCHEMA = {
+    id: { required: true, type: ['number', 'string'] },
+    subject: { required: true, type: 'string', nonEmpty: true },
+    topic: { required: true, type: 'string', nonEmpty: true },
+    type: { required: false, type: 'string', enum: QUESTION_TYPES },
+    question_text: { required: false, type: 'string' },
+    keywords: { required: false, type: 'array', items: 'string' },
+    statements: { required: false, type: 'array' }, // [{ id, text, is_correct }]
+    options: { required: true, type: 'array' },     // [{ id, text, is_correct }]
+    explanation: { required: false, type: 'object' }, // { summary, detail }
+    caSlot: { required: false, type: 'string' },      // Current Affairs: GS slot id (core.js CURRENT_AFFAIRS_SLOTS)
+};
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+function validateChoiceList(list, path, errors) {
+    const seen = new Set();
+    list.forEach((item, i) => {
+        const itemPath = `${path}[${i}]`;
+        if (typeOf(item) !== 'object') {
+            errors.push({ path: itemPath, message: 'must be an object' });
+            return;
+        }
+        if (item.id === undefined || item.id === '') errors.push({ path: `${itemPath}.id`, message: 'is required' });
+        else if (seen.has(String(item.id))) errors.push({ path: `${itemPath}.id`, message: `duplicate id "${item.id}"` });
+        seen.add(String(item.id));
+        if (typeof item.text !== 'string' || !item.text.trim()) errors.push({ path: `${itemPath}.text`, message: 'must be a non-empty string' });
+        if (typeof item.is_correct !== 'boolean') errors.push({ path: `${itemPath}.is_correct`, message: 'must be true or false' });
+    });
+    return seen;
+}
+
+// Presence, type, enum & item checks for a { field: rule } schema (QUESTION_SCHEMA, NOTE_SCHEMA, FLASHCARD_SCHEMA)
+function checkFields(record, schema, errors) {
+    Object.entries(schema).forEach(([field, rule]) => {
+        const value = record[field];
+        if (value === undefined || value === null) {
+            if (rule.required) errors.push({ path: field, message: 'is required' });
+            return;
+        }
+        const allowed = Array.isArray(rule.type) ? rule.type : [rule.type];
+        if (!allowed.includes(typeOf(value))) {
+            errors.push({ path: field, message: `must be ${allowed.join(' or ')}` });
+            return;
+        }
+        if (rule.nonEmpty && !String(value).trim()) errors.push({ path: field, message: 'must not be empty' });
+        if (rule.enum && !rule.enum.includes(value)) errors.push({ path: field, message: `must be one of ${rule.enum.join(', ')}` });
+        if (rule.items && value.some(v => typeOf(v) !== rule.items)) errors.push({ path: field, message: `must only contain ${rule.items}s` });
+    });
+}
+
+/**
+ * Validates one question against QUESTION_SCHEMA plus the cross-field rules.
+ * Returns { valid, errors: [{ path, message }] }.
+ */
+export function validateQuestion(question) {
+    const errors = [];
+
+    if (typeOf(question) !== 'object') {
+        return { valid: false, errors: [{ path: '', message: 'question must be an object' }] };
+    }
+
+    // 1. Field presence & types
+    checkFields(question, QUESTION_SCHEMA, errors);
+
+    const isStatementBased = question.type === 'statement-based';
+    const statements = Array.isArray(question.statements) ? question.statements : [];
+    const options = Array.isArray(question.options) ? question.options : [];
+
+    // 2. Statements & options
+    const statementIds = validateChoiceList(statements, 'statements', errors);
+    validateChoiceList(options, 'options', errors);
+
+    if (isStatementBased) {
+        if (statements.length === 0) errors.push({ path: 'statements', message: 'statement-based questions need at least one statement' });
+    } else {
+        if (options.length < 2) errors.push({ path: 'options', message: 'needs at least 2 options' });
+        if (options.length > 0 && !options.some(o => o.is_correct === true)) {
+            errors.push({ path: 'options', message: 'needs at least one option with is_correct: true' });
+        }
+    }
+
+    if (!question.question_text?.trim() && statements.length === 0) {
+        errors.push({ path: 'question_text', message: 'is required when there are no statements' });
+    }
+
+    // 3. Options like "S1 and S3 only" must point at statements that exist
+    if (statements.length > 0) {
+        options.forEach((opt, i) => {
+            const refs = String(opt.text || '').match(/\bS\d+\b/g) || [];
+            refs.filter(ref => !statementIds.has(ref)).forEach(ref => {
+                errors.push({ path: `options[${i}].text`, message: `references unknown statement "${ref}"` });
+            });
+        });
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+export function formatValidationErrors(errors) {
+    return errors.map(e => (e.path ? `${e.path} ${e.message}` : e.message)).join('; ');
+}
+
+// Collision-free ids for imported/generated questions (the bootstrap bank uses small integers)
+export function generateQuestionId(prefix = 'q') {
+    const random = Math.random().toString(36).slice(2, 8);
+    return `${prefix}-${Date.now().toString(36)}-${random}`;
+}
+
+// --- 2. CSV Pack Format ---
+// One question per row. Multi-value cells use " || " between items and ";" between ids:
+//   statements: "S1: text || S2: text"   true_statements: "S1;S2"
+//   options:    "A: text || B: text"     correct: "C"  (or "A;B" for multi-select)
+//   keywords:   "IVC;Lothal"
+export const CSV_COLUMNS = [
+    'id', 'subject', 'topic', 'type', 'question_text',
+    'statements', 'true_statements', 'options', 'correct',
+    'explanation_summary', 'explanation_detail', 'keywords',
+];
+
+const ITEM_SEPARATOR = ' || ';
+
+// RFC 4180-style parser (quoted fields, escaped quotes, newlines inside quotes)
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') inQuotes = false;
+            else field += ch;
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field); field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field); field = '';
+            rows.push(row); row = [];
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) { row.push(field); rows.push(row); }
+
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+function splitItems(cell) {
+    return String(cell || '').split('||').map(s => s.trim()).filter(Boolean);
+}
+
+function splitIds(cell) {
+    return String(cell || '').split(';').map(s => s.trim()).filter(Boolean);
+}
+
+// "A: some text" -> { id: 'A', text: 'some text' }
+function parseLabelled(item) {
+    const idx = item.indexOf(':');
+    if (idx === -1) return { id: '', text: item };
+    return { id: item.slice(0, idx).trim(), text: item.slice(idx + 1).trim() };
+}
+
+// Numeric-looking ids are stored as numbers, as the shipped bank does: "101" and 101 are one question
+function normalizeQuestionId(id) {
+    return typeof id === 'string' && /^\d+$/.test(id.trim()) ? Number(id.trim()) : id;
+}
+
+function csvRowToQuestion(record) {
+    const trueStatements = new Set(splitIds(record.true_statements));
+    const correct = new Set(splitIds(record.correct));
+    const rawId = record.id?.trim();
+
+    const question = {
+        id: normalizeQuestionId(rawId),
+        subject: record.subject?.trim(),
+        topic: record.topic?.trim(),
+        question_text: record.question_text?.trim() || '',
+        statements: splitItems(record.statements).map(parseLabelled).map(st => ({ ...st, is_correct: trueStatements.has(st.id) })),
+        options: splitItems(record.options).map(parseLabelled).map(opt => ({ ...opt, is_correct: correct.has(opt.id) })),
+        keywords: splitIds(record.keywords),
+        explanation: {
+            summary: record.explanation_summary?.trim() || '',
+            detail: record.explanation_detail?.trim() || '',
+        },
+    };
+    if (record.type?.trim()) question.type = record.type.trim();
+    if (!rawId) delete question.id;
+    return question;
+}
+
+function csvEscape(value) {
+    const text = String(value ?? '');
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function questionToCsvRow(q) {
+    const record = {
+        id: q.id,
+        subject: q.subject,
+        topic: q.topic,
+        type: q.type || '',
+        question_text: q.question_text || '',
+        statements: (q.statements || []).map(st => `${st.id}: ${st.text}`).join(ITEM_SEPARATOR),
+        true_statements: (q.statements || []).filter(st => st.is_correct).map(st => st.id).join(';'),
+        options: (q.options || []).map(opt => `${opt.id}: ${opt.text}`).join(ITEM_SEPARATOR),
+        correct: (q.options || []).filter(opt => opt.is_correct).map(opt => opt.id).join(';'),
+        explanation_summary: q.explanation?.summary || '',
+        explanation_detail: q.explanation?.detail || '',
+        keywords: (q.keywords || []).join(';'),
+    };
+    return CSV_COLUMNS.map(col => csvEscape(record[col])).join(',');
+}
+
+// --- 3. Pack Parsing & Serialisation ---
+
+/**
+ * Parses a JSON or CSV question pack into [{ row, question }] entries.
+ * `row` is the human-facing position used in error reports (array index + 1, or CSV line).
+ */
+export function parseQuestionPack(text, format) {
+    if (format === 'csv') {
+        const [header, ...rows] = parseCsv(text);
+        if (!header) throw new Error('CSV file is empty.');
+        const columns = header.map(h => h.trim().toLowerCase());
+        const missing = ['subject', 'topic', 'options'].filter(c => !columns.includes(c));
+        if (missing.length) throw new Error(`CSV header is missing column(s): ${missing.join(', ')}`);
+
+        return rows.map((cells, i) => {
+            const record = Object.fromEntries(columns.map((col, j) => [col, cells[j] ?? '']));
+            return { row: i + 2, question: csvRowToQuestion(record) }; // +2: 1-based and skip header
+        });
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`File is not valid JSON (${e.message}).`);
+    }
+    // Accept a bare array (initial_questions.json format) or { questions: [...] }
+    const list = Array.isArray(data) ? data : data?.questions;
+    if (!Array.isArray(list)) throw new Error('JSON root must be an array of questions (or { "questions": [...] }).');
+    return list.map((question, i) => ({ row: i + 1, question }));
+}
+
+export function serializeQuestionPack(questions, format) {
+    if (format === 'csv') {
+        return [CSV_COLUMNS.join(','), ...questions.map(questionToCsvRow)].join('\n');
+    }
+    return JSON.stringify(questions, null, 4);
+}
+
+// --- 4. Import Planning ---
+export const MERGE_STRATEGIES = {
+    skip: 'Keep existing question',
+    overwrite: 'Replace existing question',
+    'new-id': 'Import as a copy with a new id',
+};
+
+/**
+ * Decides what happens to every parsed row. Pure: the caller writes `toWrite` to the DB.
+ * existingIds: Set of ids already in the bank (compared as strings).
+ * Returns { toWrite: [questions], report: [{ row, id, status, message }] }
+ * where status is 'added' | 'updated' | 'copied' | 'skipped' | 'invalid'.
+ */
+export function planImport(entries, existingIds, strategy = 'skip') {
+    const toWrite = [];
+    const report = [];
+    const seenInPack = new Set();
+    const existing = new Set([...existingIds].map(String));
+
+    entries.forEach(({ row, question }) => {
+        const normalizedId = normalizeQuestionId(question?.id);
+        if (normalizedId !== question?.id) question = { ...question, id: normalizedId };
+        const { valid, errors } = validateQuestion(question);
+        const id = question?.id;
+
+        if (!valid) {
+            report.push({ row, id, status: 'invalid', message: formatValidationErrors(errors) });
+            return;
+        }
+        if (seenInPack.has(String(id))) {
+            report.push({ row, id, status: 'invalid', message: `id "${id}" appears more than once in this file` });
+            return;
+        }
+        seenInPack.add(String(id));
+
+        // Imported questions belong to the user, even if the file was exported from a shipped pack
+        if (question.pack !== undefined) {
+            question = { ...question };
+            delete question.pack;
+        }
+
+        if (!existing.has(String(id))) {
+            toWrite.push(question);
+            report.push({ row, id, status: 'added', message: '' });
+        } else if (strategy === 'overwrite') {
+            toWrite.push(question);
+            report.push({ row, id, status: 'updated', message: 'replaced existing question' });
+        } else if (strategy === 'new-id') {
+            const newId = generateQuestionId('imp');
+            toWrite.push({ ...question, id: newId });
+            report.push({ row, id, status: 'copied', message: `id conflict, imported as ${newId}` });
+        } else {
+            report.push({ row, id, status: 'skipped', message: 'id already exists in your bank' });
+        }
+    });
+
+    return { toWrite, report };
+}
+
+// --- 5. AI Output Normalisation ---
+// Model output is "almost" the schema: repair what is unambiguous, reject the rest.
+const OPTION_LETTERS = 'ABCDEFGHIJ';
+
+function toBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    return ['true', 'yes', 'correct', '1'].includes(String(value).trim().toLowerCase());
+}
+
+function repairChoiceList(list, idFor, fixes, label) {
+    if (!Array.isArray(list)) return [];
+    return list.map((item, i) => {
+        // Plain strings -> { id, text, is_correct: false }
+        if (typeof item === 'string') {
+            fixes.push(`${label}[${i}] was a plain string`);
+            return { id: idFor(i), text: item.trim(), is_correct: false };
+        }
+        const repaired = { ...item };
+        if (repaired.id === undefined || repaired.id === '') {
+            repaired.id = idFor(i);
+            fixes.push(`${label}[${i}] got id ${repaired.id}`);
+        }
+        if (typeof repaired.text !== 'string') repaired.text = String(repaired.text ?? repaired.option ?? repaired.statement ?? '').trim();
+        if (typeof repaired.is_correct !== 'boolean') {
+            repaired.is_correct = toBoolean(repaired.is_correct ?? repaired.correct ?? false);
+            fixes.push(`${label}[${i}].is_correct coerced to ${repaired.is_correct}`);
+        }
+        return repaired;
+    });
+}
+
+function repairQuestion(raw, { subject, topic, provenance, idPrefix }) {
+    const fixes = [];
+    if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+        return { question: raw, fixes };
+    }
+
+    const q = { ...raw };
+
+    // Ids from the model routinely collide with the bank (it copies the schema example)
+    q.id = generateQuestionId(idPrefix);
+    if (subject) q.subject = subject;
+    if (topic) q.topic = topic;
+
+    if (!q.question_text && typeof q.question === 'string') {
+        q.question_text = q.question;
+        delete q.question;
+        fixes.push('question -> question_text');
+    }
+
+    q.statements = repairChoiceList(q.statements || [], i => `S${i + 1}`, fixes, 'statements');
+    q.options = repairChoiceList(q.options || [], i => OPTION_LETTERS[i] || `O${i + 1}`, fixes, 'options');
+
+    // A separate answer key ("answer": "C") instead of is_correct flags
+    const answerKey = q.correct_answer ?? q.answer ?? q.correct_option;
+    if (answerKey !== undefined && !q.options.some(o => o.is_correct)) {
+        const keys = String(answerKey).split(/[;,\s]+/).map(k => k.trim().toUpperCase()).filter(Boolean);
+        q.options.forEach(o => { o.is_correct = keys.includes(String(o.id).toUpperCase()); });
+        fixes.push(`is_correct set from answer key "${answerKey}"`);
+    }
+    delete q.correct_answer;
+    delete q.answer;
+    delete q.correct_option;
+
+    if (!QUESTION_TYPES.includes(q.type)) {
+        if (q.type !== undefined) fixes.push(`unknown type "${q.type}" replaced`);
+        q.type = 'multi-choice';
+    }
+
+    if (typeof q.keywords === 'string') {
+        q.keywords = q.keywords.split(',').map(k => k.trim()).filter(Boolean);
+        fixes.push('keywords split from string');
+    }
+    if (!Array.isArray(q.keywords)) q.keywords = [];
+
+    if (typeof q.explanation === 'string') {
+        q.explanation = { summary: q.explanation, detail: '' };
+        fixes.push('explanation wrapped into { summary }');
+    }
+
+    if (provenance) q.provenance = provenance;
+
+    return { question: q, fixes };
+}
+
+/**
+ * Normalises whatever the AI returned into bank-ready questions.
+ * context: { subject, topic, provenance: { feature, model, prompt, generatedAt }, idPrefix }
+ * Returns { accepted: [questions], rejected: [{ index, item, errors }], repairs: [{ index, fixes }] }.
+ */
+export function normalizeGeneratedQuestions(raw, context = {}) {
+    const ctx = { idPrefix: 'ai', ...context };
+
+    // Unwrap the usual shapes: [..], { questions: [..] }, or one bare question object
+    let items = raw;
+    if (!Array.isArray(items)) {
+        if (Array.isArray(raw?.questions)) items = raw.questions;
+        else if (raw && typeof raw === 'object' && (raw.options || raw.statements)) items = [raw];
+        else items = [];
+    }
+
+    const accepted = [];
+    const rejected = [];
+    const repairs = [];
+
+    if (items.length === 0) {
+        rejected.push({ index: 0, item: raw, errors: [{ path: '', message: 'AI output contained no questions' }] });
+    }
+
+    items.forEach((item, index) => {
+        const { question, fixes } = repairQuestion(item, ctx);
+        const { valid, errors } = validateQuestion(question);
+        if (fixes.length) repairs.push({ index, fixes });
+        if (valid) accepted.push(question);
+        else rejected.push({ index, item, errors });
+    });
+
+    return { accepted, rejected, repairs };
+}
+
+// --- 6. AI Response Schemas ---
+// JSON-Schema subset (type, properties, required, items, enum, minItems, minimum, maximum).
+// Sent to the provider as the structured-output schema and re-checked on our side.
+const CHOICE_ITEM_SCHEMA = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        text: { type: 'string' },
+        is_correct: { type: 'boolean' },
+    },
+    required: ['id', 'text', 'is_correct'],
+};
+
+export const AI_QUESTION_LIST_SCHEMA = {
+    type: 'object',
+    properties: {
+        questions: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    type: { type: 'string', enum: QUESTION_TYPES },
+                    question_text: { type: 'string' },
+                    statements: { type: 'array', items: CHOICE_ITEM_SCHEMA },
+                    options: { type: 'array', minItems: 2, items: CHOICE_ITEM_SCHEMA },
+                    explanation: {
+                        type: 'object',
+                        properties: { summary: { type: 'string' }, detail: { type: 'string' } },
+                        required: ['summary'],
+                    },
+                    keywords: { type: 'array', items: { type: 'string' } },
+                },
+                required: ['type', 'question_text', 'options', 'explanation'],
+            },
+        },
+    },
+    required: ['questions'],
+};
+
+const CRITERION_SCHEMA = {
+    type: 'object',
+    properties: {
+        rating: { type: 'number', minimum: 0, maximum: 10 },
+        comment: { type: 'string' },
+    },
+    required: ['rating', 'comment'],
+};
+
+export const AI_MAINS_GRADE_SCHEMA = {
+    type: 'object',
+    properties: {
+        criteria: {
+            type: 'object',
+            properties: {
+                introduction: CRITERION_SCHEMA,
+                body: CRITERION_SCHEMA,
+                examples: CRITERION_SCHEMA,
+                conclusion: CRITERION_SCHEMA,
+            },
+            required: ['introduction', 'body', 'examples', 'conclusion'],
+        },
+        feedback: { type: 'string' },
+        improvements: { type: 'array', items: { type: 'string' } },
+    },
+    required: ['criteria', 'feedback', 'improvements'],
+};
+
+export const AI_FLASHCARD_LIST_SCHEMA = {
+    type: 'object',
+    properties: {
+        cards: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                properties: { front: { type: 'string' }, back: { type: 'string' } },
+                required: ['front', 'back'],
+            },
+        },
+    },
+    required: ['cards'],
+};
+
+/**
+ * Checks a parsed AI response against one of the schemas above.
+ * Returns [{ path, message }] (empty when valid), same shape as validateQuestion().
+ */
+export function validateAgainstSchema(value, schema, path = '') {
+    const errors = [];
+    const actual = typeOf(value);
+    const expected = schema.type === 'integer' ? 'number' : schema.type;
+
+    if (expected && actual !== expected) {
+        errors.push({ path, message: `must be ${schema.type}` });
+        return errors;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+    }
+    if (actual === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `must be >= ${schema.minimum}` });
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+    if (actual === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`)));
+        }
+    }
+    if (actual === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined || value[key] === null) errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+        });
+        Object.entries(schema.properties || {}).forEach(([key, childSchema]) => {
+            if (value[key] === undefined || value[key] === null) return;
+            errors.push(...validateAgainstSchema(value[key], childSchema, path ? `${path}.${key}` : key));
+        });
+    }
+    return errors;
+}
+
+
+// --- 7. Content Pack Updates ---
+// Shipped packs own their questions via `question.pack = packId`. Anything else in the bank
+// (AI output, user imports) is the user's and is never overwritten or deleted by an update.
+
+// Questions shipped before packs existed carry no marker. Only the pack that replaces the old
+// bootstrap file may adopt them, and only on its first install: imports look the same otherwise.
+function isPackOwned(existing, packId, canAdoptLegacy) {
+    if (existing.pack === packId) return true;
+    return canAdoptLegacy && !existing.pack && !existing.provenance;
+}
+
+function sameContent(a, b) {
+    const strip = ({ pack, ...rest }) => rest;
+    return JSON.stringify(strip(a)) === JSON.stringify(strip(b));
+}
+
+/**
+ * Diffs a downloaded pack against the bank. Pure: the caller applies the result.
+ * installed: the stored pack record ({ questionIds }) or null; existingById: Map(String(id) -> question).
+ * adoptLegacy: true for the pack that ships the old bootstrap file (see isPackOwned).
+ * Returns { toPut, toDelete, ownedIds, counts: { added, updated, unchanged, retired, conflicts, invalid } }.
+ */
+export function planPackUpdate(packId, questions, installed, existingById, { adoptLegacy = false } = {}) {
+    const canAdoptLegacy = adoptLegacy && !installed;
+    const toPut = [];
+    const ownedIds = [];
+    const counts = { added: 0, updated: 0, unchanged: 0, retired: 0, conflicts: 0, invalid: 0 };
+    const shippedIds = new Set();
+
+    questions.forEach(raw => {
+        if (!validateQuestion(raw).valid) {
+            counts.invalid++;
+            return;
+        }
+        const question = { ...raw, pack: packId };
+        const existing = existingById.get(String(question.id));
+        shippedIds.add(String(question.id));
+
+        if (!existing) {
+            toPut.push(question);
+            counts.added++;
+        } else if (!isPackOwned(existing, packId, canAdoptLegacy)) {
+            counts.conflicts++; // Same id, but the user's question: leave it alone
+            return;
+        } else if (sameContent(existing, question) && existing.pack === packId) {
+            counts.unchanged++;
+        } else {
+            toPut.push(question);
+            counts.updated++;
+        }
+        ownedIds.push(question.id);
+    });
+
+    // Retired: shipped last time, gone now, and still the pack's own copy
+    const toDelete = (installed?.questionIds || []).filter(id => {
+        const existing = existingById.get(String(id));
+        return !shippedIds.has(String(id)) && existing?.pack === packId;
+    });
+    counts.retired = toDelete.length;
+
+    return { toPut, toDelete, ownedIds, counts };
+}
+
+// --- 8. Stored Records (Notes) ---
+// Every stored timestamp is epoch milliseconds. Older builds wrote ISO strings for notes and
+// quiz results; toEpochMs() reads both (db.js migrations use it to rewrite old rows).
+export function toEpochMs(value, fallback = Date.now()) {
+    if (typeof value === 'number' && Number.isFinite(value)) return value;
+    const parsed = typeof value === 'string' ? Date.parse(value) : NaN;
+    return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+export const NOTE_SCHEMA = {
+    title: { required: true, type: 'string', nonEmpty: true },
+    content: { required: true, type: 'string' },
+    source: { required: true, type: 'string' },
+    timestamp: { required: true, type: 'number' }, // Created
+    updatedAt: { required: true, type: 'number' },
+    tags: { required: true, type: 'array', items: 'string' },          // GS paper / subject / free-form
+    questionIds: { required: true, type: 'array' },                    // Linked bank questions
+    diagramPreset: { required: false, type: 'string' },               // AI notes: prompt preset used (see ai.js)
+};
+
+// "101, q-abc 102" -> [101, 'q-abc', 102] (bank ids are numbers for shipped questions, strings otherwise)
+export function parseQuestionIdList(text) {
+    const ids = String(text || '').split(/[\s,;]+/).filter(Boolean).map(id => (/^\d+$/.test(id) ? Number(id) : id));
+    return [...new Set(ids)];
+}
+
+// Trimmed, no empties, no case-insensitive duplicates (first spelling wins)
+function normalizeTags(tags) {
+    const seen = new Set();
+    return (Array.isArray(tags) ? tags : []).map(t => String(t).trim()).filter(t => {
+        const key = t.toLowerCase();
+        if (!t || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// Fills in what older rows (or callers) leave out: source, updatedAt, numeric timestamps, tags, links
+export function normalizeNote(note, now = Date.now()) {
+    const timestamp = toEpochMs(note.timestamp, now);
+    return {
+        ...note,
+        title: typeof note.title === 'string' ? note.title.trim() : note.title,
+        content: note.content ?? '',
+        source: note.source || 'Manual Entry',
+        timestamp,
+        updatedAt: toEpochMs(note.updatedAt, timestamp),
+        tags: normalizeTags(note.tags),
+        questionIds: Array.isArray(note.questionIds) ? [...new Set(note.questionIds)] : [],
+    };
+}
+
+export function validateNote(note) {
+    if (typeOf(note) !== 'object') {
+        return { valid: false, errors: [{ path: '', message: 'note must be an object' }] };
+    }
+    const errors = [];
+    checkFields(note, NOTE_SCHEMA, errors);
+    return { valid: errors.length === 0, errors };
+}
+
+// --- 9. Full Backups ---
+// One JSON file with every table: { format, formatVersion, schemaVersion, exportedAt, includesSecrets, tables: { name: [rows] } }
+export const BACKUP_FORMAT = 'upsc-pro-backup';
+export const BACKUP_FORMAT_VERSION = 1;
+
+export function parseBackup(text, currentSchemaVersion) {
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not a valid JSON file (${error.message}).`);
+    }
+    if (backup?.format !== BACKUP_FORMAT) throw new Error("This file is not a UPSC Pro backup.");
+    if (backup.formatVersion > BACKUP_FORMAT_VERSION || backup.schemaVersion > currentSchemaVersion) {
+        throw new Error("This backup was made by a newer version of the app. Update the app before restoring it.");
+    }
+    if (typeOf(backup.tables) !== 'object' || Object.values(backup.tables).some(rows => !Array.isArray(rows))) {
+        throw new Error("Backup format error: 'tables' must map table names to arrays of rows.");
+    }
+    return backup;
+}
+
+// Key order and Blob identity don't make two rows different (a Blob stringifies as '{}', so type and size stand in)
+function sameRow(a, b) {
+    const canonical = value => JSON.stringify(value, (key, v) => {
+        if (v instanceof Blob) return `blob:${v.type}:${v.size}`;
+        if (v && typeof v === 'object' && !Array.isArray(v)) return Object.fromEntries(Object.entries(v).sort(([x], [y]) => (x < y ? -1 : x > y ? 1 : 0)));
+        return v;
+    });
+    return canonical(a) === canonical(b);
+}
+
+/**
+ * Merge plan for one table. Pure: the caller writes the result.
+ * In auto-increment tables an equal id is a coincidence of two devices counting from 1: a backup row
+ * that matches the local one exactly is skipped, any other is added as a copy under a new id.
+ * Elsewhere, strategy (MERGE_STRATEGIES) decides a key conflict: keep the local row or take the backup's.
+ * existingRows: the table's current rows.
+ * Returns { toPut, counts: { added, updated, copied, skipped }, copiedFrom: Map(old key -> index in toPut) };
+ * copiedFrom lets the caller re-point rows in other tables that referenced a copied row's old key.
+ */
+export function planTableRestore(rows, existingRows, { keyPath, autoIncrement }, strategy = 'skip') {
+    const existing = new Map(existingRows.map(row => [String(row[keyPath]), row]));
+    const toPut = [];
+    const counts = { added: 0, updated: 0, copied: 0, skipped: 0 };
+    const copiedFrom = new Map();
+
+    rows.forEach(row => {
+        const key = row[keyPath];
+        const local = key === undefined ? undefined : existing.get(String(key));
+        if (!local) {
+            toPut.push(row);
+            counts.added++;
+        } else if (autoIncrement ? sameRow(local, row) : strategy !== 'overwrite') {
+            counts.skipped++;
+        } else if (autoIncrement) {
+            const copy = { ...row };
+            delete copy[keyPath];
+            copiedFrom.set(key, toPut.length);
+            toPut.push(copy);
+            counts.copied++;
+        } else {
+            toPut.push(row);
+            counts.updated++;
+        }
+    });
+    return { toPut, counts, copiedFrom };
+}
+
+// --- 10. Flashcards ---
+// Front/back revision cards, scheduled with the same SM-2 fields as the question review queue
+// (core.js scheduleReview). sourceKey identifies where a derived card came from, so deriving twice
+// doesn't duplicate it: 'stmt:<questionId>:<statementId>', 'note:<noteId>:<lowercased front>'.
+// Note cards are deleted with their note (db.js deleteNote).
+export const FLASHCARD_ORIGINS = ['manual', 'statement', 'note'];
+
+export const FLASHCARD_SCHEMA = {
+    front: { required: true, type: 'string', nonEmpty: true },
+    back: { required: true, type: 'string', nonEmpty: true },
+    deck: { required: true, type: 'string', nonEmpty: true },   // Subject for statement cards, note title for note cards
+    origin: { required: true, type: 'string', enum: FLASHCARD_ORIGINS },
+    sourceKey: { required: false, type: 'string' },
+    questionId: { required: false, type: ['number', 'string'] },
+    noteId: { required: false, type: 'number' },
+    createdAt: { required: true, type: 'number' },
+    due: { required: true, type: 'number' },                    // New cards are due straight away
+};
+
+export function normalizeFlashcard(card, now = Date.now()) {
+    const createdAt = toEpochMs(card.createdAt, now);
+    return {
+        ...card,
+        front: String(card.front ?? '').trim(),
+        back: String(card.back ?? '').trim(),
+        deck: String(card.deck ?? '').trim() || 'General',
+        origin: card.origin || 'manual',
+        createdAt,
+        due: toEpochMs(card.due, createdAt),
+    };
+}
+
+export function validateFlashcard(card) {
+    if (typeOf(card) !== 'object') {
+        return { valid: false, errors: [{ path: '', message: 'flashcard must be an object' }] };
+    }
+    const errors = [];
+    checkFields(card, FLASHCARD_SCHEMA, errors);
+    return { valid: errors.length === 0, errors };
+}
+
+// One true/false card per statement of a statement-based question; the back gives the verdict and the explanation
+export function flashcardsFromQuestion(question) {
+    const statements = Array.isArray(question.statements) ? question.statements : [];
+    const why = question.explanation?.summary?.trim();
+    return statements
+        .filter(s => typeof s.text === 'string' && s.text.trim() && typeof s.is_correct === 'boolean')
+        .map(s => ({
+            front: `True or false? ${s.text.trim()}`,
+            back: `${s.is_correct ? '✅ True' : '❌ False'}${why ? `\n\n${why}` : ''}`,
+            deck: question.subject || 'General',
+            origin: 'statement',
+            sourceKey: `stmt:${question.id}:${s.id}`,
+            questionId: question.id,
+        }));
+}
@@ -1,90 +1,181 @@
 // service-worker.js - PWA Service Worker for Offline Functionality and Caching
+//
+// App files come from precache-manifest.js (content-hashed, regenerated by
+// tools/build-precache-manifest.mjs). A changed hash = a new worker version, which waits
+// until the page asks it to take over (the "new version available — reload" banner).
 
-const CACHE_NAME = 'upsc-pro-cache-v1.2'; // Incrementing version for final deployment
-
-// List of files to cache immediately upon installation (The App Shell)
-const urlsToCache = [
-    './', 
-    './index.html',
-    './db.js',
-    './core.js',
-    './ui-common.js',
-    './page-quiz.js',
-    './page-selection.js',
-    './page-notes.js',
-    './ai.js',
-    './data/initial_questions.json',
-    './offline.html', // NEW: The fallback page
-    // External CDNs
-    'https://cdn.tailwindcss.com', 
-    'https://unpkg.com/dexie@latest/dist/dexie.js',
-    'https://unpkg.com/flexsearch@0.7.3/dist/flexsearch.compact.js',
-    'https://cdn.jsdelivr.net/npm/marked/marked.min.js',
-];
-
-// 1. Installation: Caching the App Shell
+importScripts('./precache-manifest.js');
+
+const MANIFEST = self.__PRECACHE_MANIFEST;
+const PRECACHE_NAME = 'upsc-pro-precache';  // Shared across versions; keys carry the revision
+const RUNTIME_CACHE_NAME = 'upsc-pro-runtime';
+const DATA_DIR = './data/';  // Content manifest + question packs: never precached
+const DATA_WARM_URLS = ['./data/packs.json', './data/initial_questions.json'];
+
+function absolute(url) {
+    return new URL(url, self.location).href;
+}
+
+// Versioned cache key, e.g. "https://host/app/core.js?__rev=3f2a..." (vendor URLs are already versioned)
+function toCacheKey(entry) {
+    return entry.revision ? `${absolute(entry.url)}?__rev=${entry.revision}` : absolute(entry.url);
+}
+
+// Request URL -> cache key for this worker's manifest ("./" is served by index.html)
+const precacheKeys = new Map(MANIFEST.entries.map(entry => [absolute(entry.url), toCacheKey(entry)]));
+precacheKeys.set(absolute('./'), precacheKeys.get(absolute('./index.html')));
+
+// 1. Installation: fetch only the files whose revision isn't cached yet
 self.addEventListener('install', event => {
-    console.log('[Service Worker] Installing...');
-    event.waitUntil(
-        caches.open(CACHE_NAME)
-        .then(cache => {
-            return cache.addAll(urlsToCache);
-        }).catch(error => {
-            console.error('[Service Worker] Failed to cache core assets:', error);
-        })
-    );
-    self.skipWaiting();
+    console.log(`[Service Worker] Installing version ${MANIFEST.version}...`);
+    event.waitUntil((async () => {
+        const cache = await caches.open(PRECACHE_NAME);
+
+        await Promise.all(MANIFEST.entries.map(async entry => {
+            const key = toCacheKey(entry);
+            if (await cache.match(key)) return;
+
+            try {
+                const response = await fetch(entry.url, { cache: 'reload' });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                await cache.put(key, response);
+            } catch (error) {
+                // App files must all land, or this version never activates; vendor CDNs may fail
+                if (entry.revision) throw new Error(`Failed to precache ${entry.url}: ${error.message}`);
+                console.error(`[Service Worker] Failed to cache ${entry.url}:`, error);
+            }
+        }));
+
+        // Warm the question data so a first visit still works offline
+        const runtime = await caches.open(RUNTIME_CACHE_NAME);
+        await Promise.all(DATA_WARM_URLS.map(async url => {
+            if (await runtime.match(url)) return;
+            await runtime.add(url).catch(error => console.warn(`[Service Worker] Data warm-up failed for ${url}:`, error));
+        }));
+    })());
+    // No skipWaiting() here: the page decides when to switch (see 'message' below)
 });
 
-// 2. Activation: Cleaning up old caches
+// 2. Activation: drop revisions this version doesn't use, and pre-manifest caches
 self.addEventListener('activate', event => {
-    console.log('[Service Worker] Activating...');
-    event.waitUntil(
-        caches.keys().then(cacheNames => {
-            return Promise.all(
-                cacheNames.map(cacheName => {
-                    if (cacheName !== CACHE_NAME) {
-                        console.log('[Service Worker] Deleting old cache:', cacheName);
-                        return caches.delete(cacheName);
-                    }
-                })
-            );
-        })
-    );
-    return self.clients.claim();
+    console.log(`[Service Worker] Activating version ${MANIFEST.version}...`);
+    event.waitUntil((async () => {
+        const cacheNames = await caches.keys();
+        await Promise.all(cacheNames
+            .filter(name => name !== PRECACHE_NAME && name !== RUNTIME_CACHE_NAME)
+            .map(name => {
+                console.log('[Service Worker] Deleting old cache:', name);
+                return caches.delete(name);
+            }));
+
+        const cache = await caches.open(PRECACHE_NAME);
+        const wanted = new Set(precacheKeys.values());
+        const requests = await cache.keys();
+        await Promise.all(requests.filter(request => !wanted.has(request.url)).map(request => cache.delete(request)));
+
+        await self.clients.claim();
+    })());
+});
+
+// The update banner posts this once the user agrees to reload
+self.addEventListener('message', event => {
+    if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
 });
 
-// 3. Fetch: Serving content from cache first (Cache-First Strategy)
+// 3. Fetch
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(RUNTIME_CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    const refresh = fetch(request).then(response => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    });
+
+    if (cached) {
+        refresh.catch(() => { /* offline: the cached copy is all we have */ });
+        return cached;
+    }
+    return refresh;
+}
+
+// Used when the page explicitly asks for fresh data (content pack update checks)
+async function networkFirst(request) {
+    const cache = await caches.open(RUNTIME_CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function fromPrecache(request, key) {
+    const cached = await caches.match(key);
+    if (cached) return cached;
+    // Evicted or not installed yet: go to the network, and fall back to the offline page for navigations
+    try {
+        return await fetch(request);
+    } catch (error) {
+        if (request.mode === 'navigate') return caches.match(precacheKeys.get(absolute('./offline.html')));
+        throw error;
+    }
+}
+
 self.addEventListener('fetch', event => {
-    const isApiCall = event.request.url.includes('googleapis.com') || event.request.url.includes('gemini') || event.request.url.includes('firestore');
-    
-    if (isApiCall) {
-        return; 
+    const { request } = event;
+    const isApiCall = request.url.includes('googleapis.com') || request.url.includes('gemini') || request.url.includes('firestore');
+
+    if (request.method !== 'GET' || isApiCall) {
+        return;
+    }
+
+    const url = new URL(request.url);
+    url.search = '';
+    url.hash = '';
+
+    if (url.href.startsWith(absolute(DATA_DIR))) {
+        const wantsFresh = request.cache === 'no-cache' || request.cache === 'reload';
+        event.respondWith(wantsFresh ? networkFirst(request) : staleWhileRevalidate(request));
+        return;
     }
 
+    const key = precacheKeys.get(url.href) || (request.mode === 'navigate' ? precacheKeys.get(absolute('./index.html')) : null);
+    if (key) {
+        event.respondWith(fromPrecache(request, key));
+        return;
+    }
+
+    // Other origins (AI provider endpoints such as an OpenAI-compatible /models listing, CDN
+    // modules): straight to the network. Caching them would ignore the Authorization header.
+    if (url.origin !== self.location.origin) {
+        return;
+    }
+
+    // Anything else from our own origin: cache-first at runtime
     event.respondWith(
-        caches.match(event.request)
-        .then(response => {
+        caches.match(request).then(response => {
             if (response) return response;
-
-            return fetch(event.request).then(
-                networkResponse => {
-                    if (!networkResponse || networkResponse.status !== 200 || networkResponse.type !== 'basic') {
-                        return networkResponse;
-                    }
-                    
+            return fetch(request).then(networkResponse => {
+                if (networkResponse.ok && networkResponse.type === 'basic') {
                     const responseToCache = networkResponse.clone();
-                    caches.open(CACHE_NAME).then(cache => {
-                        cache.put(event.request, responseToCache);
-                    });
-                    return networkResponse;
+                    caches.open(RUNTIME_CACHE_NAME).then(cache => cache.put(request, responseToCache));
                 }
-            ).catch(() => {
-                // --- CRITICAL: Fallback to cached offline page ---
-                console.error('[Service Worker] Final fallback to offline.html');
-                return caches.match('./offline.html');
+                return networkResponse;
             });
         })
     );
 });
 
+// 4. Background Sync: queued AI jobs (ai-queue.js) need the page's Dexie + AI modules,
+// so the worker just wakes any open tab to process them.
+self.addEventListener('sync', event => {
+    if (event.tag !== 'ai-jobs') return;
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+            clients.forEach(client => client.postMessage({ type: 'process-ai-queue' }));
+        })
+    );
+});
@@ -0,0 +1,34 @@
+// tools/build-content-manifest.mjs - Refreshes data/packs.json checksums (run after editing any question pack)
+//
+//   node tools/build-content-manifest.mjs
+//
+// A pack whose file changed gets its version bumped, so installed apps pick up the
+// additions, edits and retirements on their next launch. Pack ids, titles and urls are edited by hand.
+
+import { createHash } from 'node:crypto';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const MANIFEST = join(ROOT, 'data', 'packs.json');
+
+const manifest = JSON.parse(readFileSync(MANIFEST, 'utf8'));
+
+for (const pack of manifest.packs) {
+    if (pack.retired) continue;
+
+    const content = readFileSync(join(ROOT, pack.url));
+    const questions = JSON.parse(content);
+    if (!Array.isArray(questions)) throw new Error(`${pack.url}: root element must be an array of questions.`);
+
+    const checksum = `sha256-${createHash('sha256').update(content).digest('hex')}`;
+    if (checksum !== pack.checksum) {
+        pack.version = (pack.version || 0) + 1;
+        pack.checksum = checksum;
+        console.log(`[content] ${pack.id}: ${questions.length} questions -> version ${pack.version}`);
+    }
+}
+
+writeFileSync(MANIFEST, `${JSON.stringify(manifest, null, 4)}\n`);
+console.log(`[content] data/packs.json: ${manifest.packs.length} packs.`);
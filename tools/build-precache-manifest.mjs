@@ -0,0 +1,49 @@
+// tools/build-precache-manifest.mjs - Regenerates precache-manifest.js (run after every change, before deploying)
+//
+//   node tools/build-precache-manifest.mjs
+//
+// Each app file gets a content hash as its revision, so the service worker only re-downloads
+// files that actually changed and knows a new version exists the moment any hash differs.
+
+import { createHash } from 'node:crypto';
+import { readFileSync, readdirSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const OUTPUT = 'precache-manifest.js';
+
+// Never precached: the worker itself, its manifest, and the runtime (stale-while-revalidate) data
+const EXCLUDED = new Set(['service-worker.js', OUTPUT]);
+
+// Pinned CDN builds. Must match the <script> tags in index.html (checked below).
+const VENDOR_URLS = [
+    'https://cdn.tailwindcss.com/3.4.5',
+    'https://unpkg.com/dexie@3.2.7/dist/dexie.js',
+    'https://unpkg.com/flexsearch@0.7.3/dist/flexsearch.compact.js',
+    'https://cdn.jsdelivr.net/npm/marked@12.0.2/marked.min.js',
+];
+
+function hash(content) {
+    return createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+const appFiles = readdirSync(ROOT)
+    .filter(name => /\.(js|html)$/.test(name) || name === 'manifest.json' || name === 'favicon.ico')
+    .filter(name => !EXCLUDED.has(name))
+    .sort();
+
+const files = appFiles.map(name => ({ url: `./${name}`, revision: hash(readFileSync(join(ROOT, name))) }));
+const vendor = VENDOR_URLS.map(url => ({ url, revision: null })); // versioned URLs never change
+const version = hash(JSON.stringify([...files, ...vendor]));
+
+const indexHtml = readFileSync(join(ROOT, 'index.html'), 'utf8');
+VENDOR_URLS.filter(url => !indexHtml.includes(url)).forEach(url => {
+    console.warn(`[precache] ${url} is pinned here but not referenced by index.html`);
+});
+
+writeFileSync(join(ROOT, OUTPUT), `// ${OUTPUT} - GENERATED by tools/build-precache-manifest.mjs. Do not edit by hand.
+self.__PRECACHE_MANIFEST = ${JSON.stringify({ version, entries: [...files, ...vendor] }, null, 4)};
+`);
+
+console.log(`[precache] ${OUTPUT}: version ${version}, ${files.length} app files, ${vendor.length} vendor files.`);
@@ -38,6 +38,129 @@ export function hideModal() {
     }
 }
 
+// --- Text Helpers (for rendering user/AI text inside innerHTML templates) ---
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Markdown is user- or AI-written and may carry raw HTML: keep the formatting, drop anything that runs
+const UNSAFE_ELEMENTS = 'script, style, iframe, frame, object, embed, link, meta, base, form';
+const UNSAFE_URL = /^\s*(javascript|vbscript|data):/i;
+
+function sanitizeHtml(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    doc.body.querySelectorAll(UNSAFE_ELEMENTS).forEach(el => el.remove());
+    doc.body.querySelectorAll('*').forEach(el => {
+        [...el.attributes].forEach(({ name, value }) => {
+            const isUrl = ['href', 'src', 'xlink:href', 'action', 'formaction'].includes(name);
+            if (name.startsWith('on') || name === 'srcdoc' || (isUrl && UNSAFE_URL.test(value))) el.removeAttribute(name);
+        });
+    });
+    return doc.body.innerHTML;
+}
+
+// Relies on the global 'marked' (CDN in index.html), like createMarkdownStream below
+export function renderMarkdown(text) {
+    return sanitizeHtml(marked.parse(text || ''));
+}
+
+// Plain-text preview of a markdown body; the ellipsis only appears when something was cut.
+// Parsed into an inert document: a detached element would still load <img> and fire its handlers.
+export function markdownExcerpt(text, maxLength = 150) {
+    const doc = new DOMParser().parseFromString(marked.parse(text || ''), 'text/html');
+    const plain = doc.body.textContent.replace(/\s+/g, ' ').trim();
+    return plain.length > maxLength ? `${plain.slice(0, maxLength).trimEnd()}…` : plain;
+}
+
+// Renders streamed markdown into element, re-parsing at most once per animation frame.
+// Relies on the global 'marked' (CDN in index.html).
+export function createMarkdownStream(element) {
+    let text = '';
+    let frame = null;
+
+    function render() {
+        frame = null;
+        element.innerHTML = marked.parse(text);
+    }
+
+    return {
+        get text() { return text; },
+        append(chunk) {
+            text += chunk;
+            if (!frame) frame = requestAnimationFrame(render);
+        },
+        flush() {
+            if (frame) cancelAnimationFrame(frame);
+            render();
+        },
+    };
+}
+
+// User-facing text for a failed AI call. AIResponseError (ai-providers.js) carries a code.
+export function describeAIError(error) {
+    if (error?.name !== 'AIResponseError') return error?.message || String(error);
+    if (error.code === 'invalid-json') {
+        return "The AI's reply wasn't readable JSON, even after asking it to fix it. Try again, or switch model in ⚙️ Settings.";
+    }
+    return `${error.message} — still wrong after a repair attempt. Try again.`;
+}
+
+// Wraps every occurrence of the query terms in <mark>. Matches run on the raw text and each piece is
+// escaped afterwards, so a term like "amp" can't land inside an entity.
+export function highlightTerms(text, query) {
+    const terms = String(query || '')
+        .split(/\s+/)
+        .filter(t => t.length > 1)
+        .map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (terms.length === 0) return escapeHtml(text);
+    // A capturing split keeps the matches at the odd indexes
+    return String(text ?? '')
+        .split(new RegExp(`(${terms.join('|')})`, 'gi'))
+        .map((piece, i) => (i % 2 ? `<mark class="bg-yellow-400/30 text-inherit rounded px-0.5">${escapeHtml(piece)}</mark>` : escapeHtml(piece)))
+        .join('');
+}
+
+// Shrinks photos/scans before they are stored or sent to the AI (JPEG, longest side <= maxDimension).
+// Small files are kept as they are.
+export async function downscaleImage(file, { maxDimension = 1600, quality = 0.8, keepBelowBytes = 300 * 1024 } = {}) {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+    if (scale === 1 && file.size <= keepBelowBytes) {
+        bitmap.close();
+        return file;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#fff'; // Transparent PNGs would turn black as JPEG
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    return await new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Image compression failed.'))), 'image/jpeg', quality);
+    });
+}
+
+// Triggers a browser download for generated content (exports, backups)
+export function downloadFile(content, fileName, mimeType) {
+    const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 // --- NEW: Global Navigation (Fixes the "Dead End" bug) ---
 export function goHome() {
     // 1. Hide Modals
@@ -50,6 +173,8 @@ export function goHome() {
     // 3. Reset Search
     const searchInput = document.getElementById('search-input');
     if (searchInput) searchInput.value = '';
+    const searchResults = document.getElementById('search-results-list');
+    if (searchResults) searchResults.innerHTML = '';
 }
 
 // Attach to window so HTML buttons can use it
@@ -57,3 +182,45 @@ window.goHome = goHome;
 window.hideModal = hideModal;
 window.showModal = showModal;
 
+// --- Service Worker & Update Flow ---
+// A new deploy installs a new worker that waits; we offer a reload instead of swapping JS mid-session.
+export function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    const banner = document.getElementById('update-banner');
+    const reloadBtn = document.getElementById('update-reload-btn');
+    let reloading = false;
+    let updateAccepted = false; // First visit: clients.claim() also changes the controller, and must not reload
+
+    function offerUpdate(worker) {
+        if (!banner || !reloadBtn) return;
+        banner.classList.remove('hidden');
+        reloadBtn.onclick = () => {
+            reloadBtn.disabled = true;
+            reloadBtn.textContent = 'Updating...';
+            updateAccepted = true;
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        };
+    }
+
+    // Fires once the waiting worker has taken over (only reload when the user asked for the update)
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading || !updateAccepted) return;
+        reloading = true;
+        window.location.reload();
+    });
+
+    // updateViaCache 'none': precache-manifest.js changes must be seen even if the worker script didn't change
+    navigator.serviceWorker.register('./service-worker.js', { updateViaCache: 'none' }).then(registration => {
+        if (registration.waiting && navigator.serviceWorker.controller) offerUpdate(registration.waiting);
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker?.addEventListener('statechange', () => {
+                // No controller = first install, nothing stale to replace
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) offerUpdate(worker);
+            });
+        });
+    }).catch(console.error);
+}
+